@@ -1,18 +1,80 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { TwitterApi } = require('twitter-api-v2');
-const OpenAI = require('openai');
 const User = require('../models/User');
+const LinkedAccount = require('../models/LinkedAccount');
+const Thread = require('../models/Thread');
+const ScheduledPost = require('../models/ScheduledPost');
+const Generation = require('../models/Generation');
+const MediaGroup = require('../models/MediaGroup');
+const Draft = require('../models/Draft');
+const ProcessedUpdate = require('../models/ProcessedUpdate');
+const Workspace = require('../models/Workspace');
+const Submission = require('../models/Submission');
 const { loadTemplate } = require('../utils/templateLoader');
+const { ensureFreshTokens, getAccountClient, TokenRefreshError } = require('../utils/tokenManager');
+const { normalizeHandle, loadAccounts, findAccount, setActiveAccount, removeAccount } = require('../utils/accounts');
+const { buildThread, MAX_THREAD_PARTS } = require('../utils/threadSplitter');
+const { parseCandidateResponse, isWithinLimit, trimToLength, toCandidate, measureTweet } = require('../utils/tweetCandidates');
+const { parseTweet, describeOverLength, MAX_TWEET_LENGTH, TRANSFORMED_URL_LENGTH } = require('../utils/tweetLength');
+const { getMessageMedia, validateMedia, parseCaption, getMediaCategory, TELEGRAM_DOWNLOAD_LIMIT } = require('../utils/media');
+const { runOnce, fingerprint } = require('../utils/idempotency');
+const { recordPostedTweet, parseTweetReference, findPostedTweet, recentPostedTweets, tweetUrl, markTweetDeleted } = require('../utils/postHistory');
+const { createProviderFromEnv } = require('../utils/llmProvider');
+const { ArticleFetchError, fetchArticle } = require('../utils/articleExtractor');
+const { TextTooLongError, condenseText } = require('../utils/longText');
+const { SUPPORTED_EXTENSIONS, DocumentExtractionError, isSupportedDocument, extractDocumentText } = require('../utils/documentText');
+const { buildVoiceProfile, describeVoiceProfile, MIN_TWEETS } = require('../utils/voiceProfile');
+const { buildStyleGuidelines, buildStyleContext, buildStyleInstructions, describeStyle, applyStyleCommand } = require('../utils/styleProfile');
+const { parseSchedule, isValidTimezone, formatInTimezone } = require('../utils/scheduleParser');
+const { parseCommand, CommandRegistry } = require('../utils/commandRouter');
+const { DEFAULT_TIMEOUT_MS, startConversation, getConversation, endConversation, takeConversation } = require('../utils/conversation');
+const { ROLES, WorkspaceError, displayName, getRole, hasRole, recordAudit, setMemberRole, recentAuditEntries } = require('../utils/workspaces');
 const https = require('https');
-const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 require('dotenv').config();
 
+// How long to wait for more items of a Telegram album before posting it
+const MEDIA_GROUP_SETTLE_MS = 2500;
+const DRAFTS_PAGE_SIZE = 5;
+// Drafts and scheduled posts are shown by the last characters of their ID
+const SHORT_ID_LENGTH = 6;
+// An update still marked as processing after this long is assumed to have crashed
+const STALE_UPDATE_MS = 5 * 60 * 1000;
+// A scheduled post claimed longer ago than this is assumed to belong to a dispatcher that timed out
+const SCHEDULED_CLAIM_LEASE_MS = 5 * 60 * 1000;
+// Text longer than this around a link is treated as long-form content rather than a link to read
+const MAX_LINK_COMMENT_LENGTH = 280;
+const DEFAULT_AUDIT_ENTRIES = 10;
+const MAX_AUDIT_ENTRIES = 50;
+// How long after /connect a pasted callback URL is expected
+const CONNECT_TIMEOUT_MS = 15 * 60 * 1000;
+// A post preview that is not confirmed within this time is dropped
+const PREVIEW_TIMEOUT_MS = 5 * 60 * 1000;
+// /history: posts listed by default and at most (one Telegram message)
+const DEFAULT_HISTORY_ENTRIES = 10;
+const MAX_HISTORY_ENTRIES = 20;
+const HISTORY_SNIPPET_LENGTH = 80;
+// How long the Undo button under a posted tweet works; /delete works any time
+const UNDO_WINDOW_MS = 60 * 1000;
+
+// Failure with a message that can be shown to the user as-is
+class AmbiguousIdError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AmbiguousIdError';
+    }
+}
+
 class TelegramBotHandler {
     constructor() {
         this.bot = null;
         this.isInitialized = false;
-        this.deepseek = null;
+        this.llm = null;
         this.twitterClient = null;
+        this.botUsername = null;
+        this.commands = this.buildCommandRegistry();
+        this.flows = this.buildConversationFlows();
     }
 
     async init() {
@@ -20,7 +82,7 @@ class TelegramBotHandler {
             console.log('🔧 Initializing Telegram bot...');
             console.log('🔍 Environment check:', {
                 TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN ? 'Present' : 'Missing',
-                DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY ? 'Present' : 'Missing',
+                LLM_PROVIDER: process.env.LLM_PROVIDER || 'deepseek (default)',
                 X_CLIENT_ID: process.env.X_CLIENT_ID ? 'Present' : 'Missing',
                 X_CLIENT_SECRET: process.env.X_CLIENT_SECRET ? 'Present' : 'Missing',
                 NODE_ENV: process.env.NODE_ENV
@@ -35,15 +97,17 @@ class TelegramBotHandler {
             this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
             console.log('✅ Telegram bot instance created');
             
-            // Initialize AI client
-            if (process.env.DEEPSEEK_API_KEY) {
-                this.deepseek = new OpenAI({
-                    apiKey: process.env.DEEPSEEK_API_KEY,
-                    baseURL: 'https://api.deepseek.com'
-                });
-                console.log('✅ DeepSeek AI client initialized');
-            } else {
-                console.warn('⚠️ DEEPSEEK_API_KEY not found, AI features disabled');
+            // Initialize AI client; a bad AI setting only disables AI, not the whole bot
+            try {
+                this.llm = createProviderFromEnv();
+                if (this.llm) {
+                    console.log(`✅ AI provider initialized: ${this.llm.name} (${this.llm.model})`);
+                } else {
+                    console.warn('⚠️ No AI provider configured, AI features disabled');
+                }
+            } catch (llmError) {
+                console.error('❌ Invalid AI provider configuration, AI features disabled:', llmError.message);
+                this.llm = null;
             }
 
             // Initialize Twitter client
@@ -115,11 +179,22 @@ class TelegramBotHandler {
                 }
             }
             
+            // Skip updates Telegram redelivers after a timeout or cold start
+            if (update.update_id !== undefined && !(await this.claimUpdate(update.update_id))) {
+                console.log(`⏭️ Skipping duplicate update ${update.update_id}`);
+                return;
+            }
+            
             if (update.message) {
                 const msg = update.message;
+                // Carried along so posting operations can derive an idempotency key
+                msg._updateId = update.update_id;
                 
-                // Handle document messages (file uploads)
-                if (msg.document) {
+                // Handle photos, videos and image/video files
+                if (getMessageMedia(msg)) {
+                    await this.handleMediaMessage(msg);
+                } else if (msg.document) {
+                    // Handle document messages (file uploads)
                     await this.handleDocumentMessage(msg);
                 } else if (msg.text) {
                     console.log('Processing message:', msg.text);
@@ -127,8 +202,12 @@ class TelegramBotHandler {
                     // Handle commands
                     if (msg.text.startsWith('/')) {
                         await this.handleCommand(msg);
+                    } else if (msg.reply_to_message && await this.handleCandidateEditReply(msg)) {
+                        // Reply to an "Edit" prompt, already handled
+                    } else if (await this.handleConversationReply(msg)) {
+                        // Answer to a question the bot asked, already handled
                     } else if (msg.text.match(/https?:\/\/.*/)) {
-                        // Handle URL (Twitter callback)
+                        // Handle URL (Twitter callback or article link)
                         await this.handleUrlMessage(msg);
                     } else {
                         // Handle AI chat
@@ -137,9 +216,13 @@ class TelegramBotHandler {
                 } else {
                     console.log('No text or document message in update');
                 }
+            } else if (update.callback_query) {
+                await this.handleCallbackQuery(update.callback_query);
             } else {
                 console.log('No message in update');
             }
+            
+            await this.completeUpdate(update.update_id);
         } catch (error) {
             console.error('Error handling webhook update:', error);
             console.error('Error stack:', error.stack);
@@ -158,27 +241,439 @@ class TelegramBotHandler {
         }
     }
 
+    // Record an update as received. Returns false if it was already processed or is in flight.
+    async claimUpdate(updateId) {
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            console.warn('⚠️ Database unavailable, processing update without duplicate check');
+            return true;
+        }
+        
+        try {
+            await ProcessedUpdate.create({ updateId });
+            return true;
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            // Retry an earlier attempt that never finished; posting is still protected by idempotency keys
+            const reclaimed = await ProcessedUpdate.findOneAndUpdate(
+                { updateId, status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_UPDATE_MS) } },
+                { startedAt: new Date() }
+            );
+            return !!reclaimed;
+        }
+    }
+
+    async completeUpdate(updateId) {
+        if (updateId === undefined) {
+            return;
+        }
+        try {
+            await ProcessedUpdate.updateOne({ updateId }, { status: 'done' });
+        } catch (error) {
+            console.error('❌ Failed to mark update as processed:', error.message);
+        }
+    }
+
+    // Key that identifies one publishing operation, so a retried update cannot post twice
+    getIdempotencyKey(msg, operation) {
+        if (msg._idempotencyKey) {
+            return msg._idempotencyKey;
+        }
+        return msg._updateId !== undefined ? `update:${msg._updateId}:${operation}` : null;
+    }
+
+    /**
+     * The linked account a command should act on: the active one, or the one named by `handle`.
+     * Tells the user what to do and returns null if there is no such account.
+     */
+    async resolveAccount(msg, handle = null) {
+        const chatId = msg.chat.id;
+        const { accounts, active } = await loadAccounts(msg.from.id);
+
+        if (accounts.length === 0) {
+            await this.bot.sendMessage(chatId, 
+                `❌ You're not connected to Twitter!\n\n` +
+                `Use /connect to connect your Twitter account first.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+            return null;
+        }
+
+        if (handle) {
+            const account = accounts.find(linked => linked.xHandle === normalizeHandle(handle));
+            if (!account) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ @${normalizeHandle(handle)} is not one of your linked accounts. Use /accounts to see them.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+            }
+            return account || null;
+        }
+
+        if (!active) {
+            await this.askQuestion(msg, 'use', 'handle');
+            await this.bot.sendMessage(chatId, 
+                `You have ${accounts.length} linked accounts. Which one should I post from? ` +
+                `Send its handle, then send your request again:\n\n` +
+                accounts.map(linked => `• @${linked.xHandle}`).join('\n') +
+                `\n\nOr post from a specific account with /post @handle <text>.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+            return null;
+        }
+
+        return active;
+    }
+
+    async markAccountUsed(account) {
+        const now = new Date();
+        await LinkedAccount.updateOne({ _id: account._id }, { lastUsedAt: now });
+        await User.updateOne({ telegramId: account.telegramId }, { lastActivity: now });
+    }
+
+    // Every command the bot understands. /help, /start and the Telegram command menu are generated from this list.
+    buildCommandRegistry() {
+        return new CommandRegistry([
+            {
+                name: 'start', section: 'General', emoji: '👋',
+                description: 'Show the welcome message',
+                run: (msg) => this.handleStartCommand(msg)
+            },
+            {
+                name: 'help', aliases: ['commands'], section: 'General', emoji: '📚',
+                description: 'List all commands',
+                run: (msg) => this.handleHelpCommand(msg)
+            },
+            {
+                name: 'cancel', section: 'General', emoji: '✖️',
+                description: 'Cancel the current question or flow',
+                run: (msg) => this.handleCancelCommand(msg)
+            },
+            {
+                name: 'connect', section: 'Account', emoji: '🔗', start: true,
+                description: 'Connect a Twitter account (run again to add more)',
+                help: 'Start Twitter OAuth2 authentication (run again to link another account)',
+                run: (msg) => this.handleConnectCommand(msg)
+            },
+            {
+                name: 'accounts', section: 'Account', emoji: '👥', start: true,
+                description: 'List your linked Twitter accounts',
+                run: (msg) => this.handleAccountsCommand(msg)
+            },
+            {
+                name: 'use', usage: '<handle>', section: 'Account', emoji: '🔀',
+                description: 'Switch the active account',
+                run: (msg, args) => this.handleUseCommand(msg, args)
+            },
+            {
+                name: 'state', aliases: ['status'], section: 'Account', emoji: '📊', start: true,
+                description: 'Check your connection status',
+                help: 'Check Twitter connection status',
+                run: (msg) => this.handleStateCommand(msg)
+            },
+            {
+                name: 'disconnect', usage: '[handle]', section: 'Account', emoji: '🚫', start: true,
+                description: 'Disconnect a Twitter account',
+                run: (msg, args) => this.handleDisconnectCommand(msg, args)
+            },
+            {
+                name: 'post', aliases: ['tweet'], usage: '<text>', section: 'Posting', emoji: '📝', start: true,
+                description: 'Post a tweet',
+                help: 'Post tweet (max 280 chars, links count as 23). Start with @handle to post from another linked account',
+                run: (msg, args) => this.handlePostCommand(msg, args, { allowAccountPrefix: true, preview: true })
+            },
+            {
+                name: 'confirm', usage: '[on|off]', section: 'Posting', emoji: '👀',
+                description: 'Preview tweets before /post publishes them',
+                help: 'Turn confirm mode on or off: /post and media posts show a preview with Confirm and Cancel buttons',
+                run: (msg, args) => this.handleConfirmCommand(msg, args)
+            },
+            {
+                name: 'delete', usage: '<tweet id|last>', section: 'Posting', emoji: '🗑',
+                description: 'Delete a tweet the bot posted',
+                help: 'Delete a tweet the bot posted for you (the ID, its link, or last)',
+                run: (msg, args) => this.handleDeleteCommand(msg, args)
+            },
+            {
+                name: 'history', usage: '[n]', section: 'Posting', emoji: '🕘', start: true,
+                description: 'List your recent posts with links',
+                help: `List your last n posts with links to X (default ${DEFAULT_HISTORY_ENTRIES}, up to ${MAX_HISTORY_ENTRIES})`,
+                run: (msg, args) => this.handleHistoryCommand(msg, parseInt(args, 10) || DEFAULT_HISTORY_ENTRIES)
+            },
+            {
+                name: 'thread', usage: '<text>', section: 'Posting', emoji: '🧵', start: true,
+                description: 'Post long text as a numbered thread',
+                help: 'Split long text into a numbered thread',
+                run: (msg, args) => this.handleThreadCommand(msg, args)
+            },
+            {
+                name: 'resume', section: 'Posting', emoji: '🔁',
+                description: 'Continue an interrupted thread',
+                run: (msg) => this.handleResumeCommand(msg)
+            },
+            {
+                name: 'schedule', usage: '<when> <text>', section: 'Scheduling', emoji: '🗓', start: true,
+                description: 'Schedule a tweet',
+                help: 'Schedule a tweet (e.g. in 2h, tomorrow 09:00)',
+                run: (msg, args) => this.handleScheduleCommand(msg, args)
+            },
+            {
+                name: 'queue', section: 'Scheduling', emoji: '📋',
+                description: 'List scheduled tweets',
+                run: (msg) => this.handleQueueCommand(msg)
+            },
+            {
+                name: 'unschedule', usage: '<id>', section: 'Scheduling', emoji: '🗑',
+                description: 'Cancel a scheduled tweet',
+                run: (msg, args) => this.handleUnscheduleCommand(msg, args)
+            },
+            {
+                name: 'timezone', usage: '<Area/City>', section: 'Scheduling', emoji: '🌍',
+                description: 'Set your timezone for scheduling',
+                run: (msg, args) => this.handleTimezoneCommand(msg, args)
+            },
+            {
+                name: 'style', section: 'Generated tweets', emoji: '🎭', start: true,
+                description: 'Set the tone of generated tweets',
+                help: 'Set tone, emoji, hashtags and language for generated tweets',
+                run: (msg, args) => this.handleStyleCommand(msg, args)
+            },
+            {
+                name: 'trainvoice', section: 'Generated tweets', emoji: '🗣',
+                description: 'Learn your voice from your recent tweets',
+                help: 'Learn your voice from your recent tweets (/trainvoice off to forget it)',
+                run: (msg, args) => this.handleTrainVoiceCommand(msg, args)
+            },
+            {
+                name: 'draft', usage: '<text>', section: 'Drafts', emoji: '💾',
+                description: 'Save a draft',
+                run: (msg, args) => this.handleDraftCommand(msg, args)
+            },
+            {
+                name: 'drafts', usage: '[page]', section: 'Drafts', emoji: '📂', start: true,
+                description: 'Browse saved drafts',
+                help: 'List drafts (generated tweets are saved too)',
+                run: (msg, args) => this.handleDraftsCommand(msg, parseInt(args, 10) || 1)
+            },
+            {
+                name: 'editdraft', usage: '<id> <text>', section: 'Drafts', emoji: '✏️',
+                description: 'Edit a draft',
+                run: (msg, args) => this.handleEditDraftCommand(msg, args)
+            },
+            {
+                name: 'deldraft', usage: '<id>', section: 'Drafts', emoji: '🗑',
+                description: 'Delete a draft',
+                run: (msg, args) => this.handleDeleteDraftCommand(msg, args)
+            },
+            {
+                name: 'postdraft', usage: '<id>', section: 'Drafts', emoji: '📤',
+                description: 'Post a draft',
+                run: (msg, args) => this.handlePostDraftCommand(msg, args)
+            },
+            {
+                name: 'workspace', usage: '[link|unlink] [handle]', section: 'Team workspaces (in groups)', emoji: '👥', groupOnly: true,
+                description: "Create or show this group's workspace",
+                help: "Create or show this group's workspace; link or unlink the accounts approved tweets go to",
+                run: (msg, args) => this.handleWorkspaceCommand(msg, args)
+            },
+            {
+                name: 'role', usage: '<admin|editor|viewer|remove>', section: 'Team workspaces (in groups)', emoji: '🎖', groupOnly: true,
+                description: "Set a member's workspace role",
+                help: "Reply to a member's message to set their role",
+                run: (msg, args) => this.handleRoleCommand(msg, args)
+            },
+            {
+                name: 'submit', usage: '<text>', section: 'Team workspaces (in groups)', emoji: '📨', groupOnly: true,
+                description: 'Propose a tweet for approval',
+                help: 'Propose a tweet; admins approve or reject it with buttons',
+                run: (msg, args) => this.handleSubmitCommand(msg, args)
+            },
+            {
+                name: 'audit', usage: '[n]', section: 'Team workspaces (in groups)', emoji: '📜', groupOnly: true,
+                description: 'Show recent workspace decisions',
+                run: (msg, args) => this.handleAuditCommand(msg, parseInt(args, 10) || DEFAULT_AUDIT_ENTRIES)
+            },
+            {
+                name: 'test', hidden: true,
+                description: 'Check that the bot responds',
+                run: (msg) => this.handleTestCommand(msg)
+            }
+        ]);
+    }
+
+    // Publish the command list so the Telegram client menu matches the registry.
+    // Called by scripts/setWebhook.js at deploy time, not on every cold start.
+    async registerCommandMenu(bot = this.bot) {
+        await bot.setMyCommands(this.commands.menuCommands());
+        await bot.setMyCommands(
+            this.commands.menuCommands({ includeGroupOnly: true }),
+            { scope: { type: 'all_group_chats' } }
+        );
+    }
+
+    // Needed to tell "/start@ThisBot" from commands addressed to other bots in a group
+    async getBotUsername() {
+        if (!this.botUsername) {
+            const me = await this.bot.getMe();
+            this.botUsername = me.username;
+        }
+        return this.botUsername;
+    }
+
     async handleCommand(msg) {
-        const text = msg.text;
-        
-        if (text === '/start') {
-            await this.handleStartCommand(msg);
-        } else if (text === '/connect') {
-            await this.handleConnectCommand(msg);
-        } else if (text.startsWith('/post ')) {
-            const tweetText = text.replace('/post ', '');
-            await this.handlePostCommand(msg, tweetText);
-        } else if (text === '/state') {
-            await this.handleStateCommand(msg);
-        } else if (text === '/disconnect') {
-            await this.handleDisconnectCommand(msg);
-        } else if (text === '/help') {
-            await this.handleHelpCommand(msg);
-        } else if (text === '/test') {
-            await this.handleTestCommand(msg);
-        } else {
+        const parsed = parseCommand(msg.text);
+        if (!parsed) {
+            await this.handleUnknownCommand(msg);
+            return;
+        }
+
+        const route = this.commands.route(msg.text, parsed.botUsername ? await this.getBotUsername() : null);
+        if (!route) {
+            console.log(`⏭️ Ignoring command for another bot: ${msg.text}`);
+            return;
+        }
+        if (!route.command) {
             await this.handleUnknownCommand(msg);
+            return;
+        }
+        
+        if (route.command.name !== 'cancel') {
+            await this.abandonConversation(msg);
+        }
+        await route.command.run(msg, route.args);
+    }
+
+    // Multi-step flows: after the bot asks a question, the user's next plain-text reply goes to the flow's current step
+    buildConversationFlows() {
+        return {
+            connect: {
+                description: 'waiting for Twitter authorization',
+                timeoutMs: CONNECT_TIMEOUT_MS,
+                steps: {
+                    callback: (msg) => this.handleConnectReply(msg)
+                }
+            },
+            editdraft: {
+                description: 'editing a draft',
+                steps: {
+                    text: async (msg, conversation) => {
+                        await endConversation(conversation);
+                        await this.handleEditDraftCommand(msg, `${conversation.data.draftId} ${msg.text}`);
+                    }
+                }
+            },
+            confirmpost: {
+                description: 'the post preview',
+                timeoutMs: PREVIEW_TIMEOUT_MS,
+                steps: {
+                    confirm: (msg, conversation) => this.handlePostPreviewReply(msg, conversation)
+                }
+            },
+            use: {
+                description: 'picking an account',
+                steps: {
+                    handle: async (msg, conversation) => {
+                        await endConversation(conversation);
+                        await this.handleUseCommand(msg, msg.text.trim());
+                    }
+                }
+            }
+        };
+    }
+
+    // Remember that the bot asked `msg.from` a question in this chat
+    async askQuestion(msg, flow, step, data = {}) {
+        const timeoutMs = this.flows[flow].timeoutMs || DEFAULT_TIMEOUT_MS;
+        await startConversation({ chatId: msg.chat.id, telegramId: msg.from.id }, flow, step, data, timeoutMs);
+    }
+
+    // Route a plain-text reply to the running conversation. Returns false if there is none,
+    // or if its step handler returns false to let the message through to the normal handlers.
+    async handleConversationReply(msg) {
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            return false;
+        }
+
+        const conversation = await getConversation({ chatId: msg.chat.id, telegramId: msg.from.id });
+        if (!conversation) {
+            return false;
+        }
+
+        const stepHandler = this.flows[conversation.flow]?.steps[conversation.step];
+        if (!stepHandler) {
+            console.warn(`⚠️ Dropping conversation with unknown step ${conversation.flow}/${conversation.step}`);
+            await endConversation(conversation);
+            return false;
+        }
+
+        console.log(`💬 Conversation reply: ${conversation.flow}/${conversation.step}`);
+        return (await stepHandler(msg, conversation)) !== false;
+    }
+
+    // A new command replaces whatever question was pending
+    async abandonConversation(msg) {
+        if (mongoose.connection.readyState !== 1 || !msg.from?.id) {
+            return;
+        }
+        try {
+            await endConversation({ chatId: msg.chat.id, telegramId: msg.from.id });
+        } catch (error) {
+            console.error('❌ Failed to clear conversation:', error.message);
+        }
+    }
+
+    async handleCancelCommand(msg) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleCancelCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/cancel');
+
+            const dbConnected = await this.ensureDatabaseConnection();
+            const conversation = dbConnected ? await endConversation({ chatId, telegramId }) : null;
+
+            await this.bot.sendMessage(chatId, 
+                conversation && conversation.expiresAt > new Date()
+                    ? `✅ Cancelled ${this.flows[conversation.flow]?.description || conversation.flow}.`
+                    : 'ℹ️ Nothing to cancel.',
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /cancel command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to cancel. Please try again.', msg);
+        }
+    }
+
+    isValidLink(link) {
+        try {
+            return !!new URL(link).hostname;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // The URL X redirects to after authorization carries the OAuth code and state
+    isOAuthCallbackUrl(text) {
+        return /https?:\/\/\S+/.test(text || '') && text.includes('code=') && text.includes('state=');
+    }
+
+    // Plain text sent while waiting for the authorization to finish. Only a pasted callback URL
+    // is taken; anything else (long-form text, an article link) goes to the normal handlers.
+    async handleConnectReply(msg) {
+        if (!this.isOAuthCallbackUrl(msg.text)) {
+            return false;
         }
+        await this.handleUrlMessage(msg, { expectCallback: true });
+        return true;
     }
 
     async handleStartCommand(msg) {
@@ -195,7 +690,7 @@ class TelegramBotHandler {
                 console.error('❌ Bot state:', {
                     isInitialized: this.isInitialized,
                     botExists: !!this.bot,
-                    deepseekExists: !!this.deepseek,
+                    llmExists: !!this.llm,
                     twitterClientExists: !!this.twitterClient
                 });
                 // Try to send error message if bot exists but wasn't initialized
@@ -210,18 +705,17 @@ class TelegramBotHandler {
             const welcomeMessage = `🐦 *Welcome to Twitter Bot with AI Tweet Generator!*\n\n` +
                                 `I can help you generate tweets from long-form text and post them to Twitter!\n\n` +
                                 `*Available commands:*\n` +
-                                `🔗 /connect - Connect your Twitter account\n` +
-                                `📝 /post <text> - Post a tweet\n` +
-                                `📊 /state - Check connection status\n` +
-                                `🚫 /disconnect - Disconnect account\n\n` +
+                                `${this.commands.formatStart()}\n` +
+                                `📷 In this chat, send a photo, album or video with a caption (or /post as the caption) to post it\n\n` +
                                 `*AI Tweet Generator:*\n` +
                                 `💬 Send me any long-form text and I'll create 3-4 engaging tweets for you!\n` +
                                 `   • Paste your article, blog post, or content\n` +
-                                `   • Or upload a \`.txt\` file with your content\n` +
+                                `   • Or upload a document (\`.txt\`, \`.md\`, \`.html\`, \`.pdf\`, \`.docx\`)\n` +
+                                `   • Or send a link to an article\n` +
                                 `   • I'll analyze it and generate multiple tweet options\n` +
                                 `   • Each tweet will be optimized for Twitter\n` +
-                                `   • Copy and use /post to publish any tweet\n\n` +
-                                `Start by using /connect to authorize your Twitter account, then send me your long-form content or upload a \`.txt\` file!`;
+                                `   • Tap *Post this* under any tweet to publish it\n\n` +
+                                `Start by using /connect to authorize your Twitter account, then send me your long-form content or upload a document!`;
 
             const options = { parse_mode: 'Markdown' };
             if (msg.message_thread_id) {
@@ -278,21 +772,9 @@ class TelegramBotHandler {
                 return;
             }
 
-            // Check if user already exists and is connected
-            let user = await User.findOne({ telegramId });
-            
-            if (user && user.isConnected) {
-                // Check if token is expired
-                if (user.tokenExpiresAt && new Date() > user.tokenExpiresAt) {
-                    await User.findByIdAndUpdate(user._id, { isConnected: false });
-                } else {
-                    await this.bot.sendMessage(chatId, 
-                        `You're already connected as @${user.xHandle}! Use /post to tweet or /state to check your status.`,
-                        { message_thread_id: msg.message_thread_id }
-                    );
-                    return;
-                }
-            }
+            // Already linked accounts stay linked: authorizing another X account adds it,
+            // authorizing a linked one again renews its tokens
+            let { user, accounts } = await loadAccounts(telegramId);
 
             // Create or update user
             if (!user) {
@@ -309,7 +791,7 @@ class TelegramBotHandler {
                 : 'http://localhost:3000/auth/x/callback';
 
             // Request read and write permissions
-            const scopes = ['users.read', 'tweet.read', 'tweet.write', 'offline.access'];
+            const scopes = ['users.read', 'tweet.read', 'tweet.write', 'media.write', 'offline.access'];
 
             const { url, codeVerifier, state } = this.twitterClient.generateOAuth2AuthLink(
                 X_CALLBACK_URL,
@@ -320,20 +802,30 @@ class TelegramBotHandler {
             await User.findByIdAndUpdate(user._id, {
                 oauth: {
                     codeVerifier: codeVerifier,
-                    state: state
+                    state: state,
+                    chatId: chatId,
+                    messageThreadId: msg.message_thread_id
                 }
             });
 
+            const linked = accounts.length > 0
+                ? `Linked accounts: ${accounts.map(account => `@${account.xHandle}`).join(', ')}\n` +
+                  `To add another account, sign in to it on X before opening the link. ` +
+                  `Authorizing a linked account again reconnects it.\n\n`
+                : '';
             const message = `🔗 *Twitter Connection*\n\n` +
+                           linked +
                            `Click the link below to authorize this bot to post tweets on your behalf:\n\n` +
                            `[🔐 Authorize Twitter](${url})\n\n` +
-                           `⚠️ *Important:* After authorization, you'll be redirected to a page. Copy the URL from your browser's address bar and send it back to me to complete the connection.`;
+                           `After authorization I'll confirm the connection here automatically.\n\n` +
+                           `⚠️ *If the page fails to load:* Copy the URL from your browser's address bar and send it back to me to complete the connection.`;
 
             await this.bot.sendMessage(chatId, message, {
                 parse_mode: 'Markdown',
                 disable_web_page_preview: true,
                 message_thread_id: msg.message_thread_id
             });
+            await this.askQuestion(msg, 'connect', 'callback');
 
         } catch (error) {
             console.error('Error handling /connect command:', error);
@@ -356,7 +848,8 @@ class TelegramBotHandler {
         }
     }
 
-    async handleUrlMessage(msg) {
+    // With expectCallback, any URL carrying an OAuth code is treated as the pasted callback
+    async handleUrlMessage(msg, { expectCallback = false } = {}) {
         const chatId = msg?.chat?.id;
         const telegramId = msg?.from?.id;
         const url = msg?.text;
@@ -367,13 +860,27 @@ class TelegramBotHandler {
         }
         
         try {
-            this.logUserMessage(msg, 'URL callback');
-
-            // Check if this looks like a Twitter callback URL
-            if (!url.includes('code=') || !url.includes('state=')) {
-                return; // Not a callback URL, ignore
+            // Anything other than a Twitter callback URL is content to generate tweets from.
+            // Outside the /connect conversation, only links to our own callback route count as callbacks.
+            const isCallback = this.isOAuthCallbackUrl(url) && (expectCallback || url.includes('/auth/x/callback'));
+            if (!isCallback) {
+                // "https:// foo" passes the router's check but has no usable link in it
+                const link = url.match(/https?:\/\/\S+/)?.[0].replace(/[.,;:!?)\]]+$/, '') || null;
+                if (url.replace(link || '', '').trim().length > MAX_LINK_COMMENT_LENGTH) {
+                    await this.handleAIChat(msg);
+                } else if (!link || !this.isValidLink(link)) {
+                    await this.bot.sendMessage(chatId, 
+                        '❌ That doesn\'t look like a valid link. Send the full address, e.g. https://example.com/article',
+                        { message_thread_id: msg.message_thread_id }
+                    );
+                } else {
+                    await this.handleArticleUrl(msg, link);
+                }
+                return;
             }
 
+            this.logUserMessage(msg, 'URL callback');
+
             // Parse the URL to get state and code
             const urlObj = new URL(url);
             const state = urlObj.searchParams.get('state');
@@ -400,63 +907,15 @@ class TelegramBotHandler {
                 return;
             }
 
-            // Find user and verify OAuth state
-            const user = await User.findOne({ 
-                telegramId,
-                'oauth.state': state 
-            });
+            // Exchange the code (fallback for when the callback page could not finish it)
+            const result = await this.completeOAuth({ state, code, telegramId });
 
-            if (!user) {
+            if (!result) {
                 await this.bot.sendMessage(chatId, '❌ Authorization session not found. Please try /connect again.');
                 return;
             }
 
-            const X_CALLBACK_URL = process.env.NODE_ENV === 'production' 
-                ? process.env.X_CALLBACK_URL 
-                : 'http://localhost:3000/auth/x/callback';
-
-            const {
-                client: loggedClient,
-                accessToken,
-                refreshToken,
-                expiresIn,
-            } = await this.twitterClient.loginWithOAuth2({
-                code: code.toString(),
-                codeVerifier: user.oauth.codeVerifier,
-                redirectUri: X_CALLBACK_URL,
-            });
-
-            // Get user info from Twitter
-            const me = await loggedClient.v2.me({
-                'user.fields': ['username', 'name', 'profile_image_url'],
-            });
-
-            const xHandle = me.data?.username?.toLowerCase();
-            if (!xHandle) {
-                await this.bot.sendMessage(chatId, '❌ Could not read Twitter handle. Please try again.');
-                return;
-            }
-
-            // Update user with Twitter credentials
-            await User.findByIdAndUpdate(user._id, {
-                xHandle,
-                accessToken,
-                refreshToken,
-                tokenExpiresAt: new Date(Date.now() + (expiresIn * 1000)),
-                isConnected: true,
-                lastActivity: new Date(),
-                $unset: { oauth: 1 } // Remove OAuth session data
-            });
-
-            await this.bot.sendMessage(chatId, 
-                `✅ *Successfully connected!*\n\n` +
-                `You're now connected as @${xHandle}\n` +
-                `You can now use:\n` +
-                `• /post <text> - to post tweets\n` +
-                `• /state - to check your status\n` +
-                `• /disconnect - to disconnect`,
-                { parse_mode: 'Markdown' }
-            );
+            await this.sendConnectedMessage(chatId, result.xHandle, msg.message_thread_id);
 
         } catch (error) {
             console.error('Error handling URL message:', error);
@@ -479,6 +938,106 @@ class TelegramBotHandler {
         }
     }
 
+    // Exchange an OAuth2 authorization code for tokens and store them on the user.
+    // Used by the /auth/x/callback route and by the paste-the-URL fallback.
+    // Returns null when no pending session matches the state.
+    async completeOAuth({ state, code, telegramId = null }) {
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            throw new Error('Database not connected');
+        }
+
+        const query = { 'oauth.state': state };
+        if (telegramId) {
+            query.telegramId = telegramId;
+        }
+
+        const user = await User.findOne(query);
+        if (!user || !user.oauth?.codeVerifier) {
+            return null;
+        }
+
+        const X_CALLBACK_URL = process.env.NODE_ENV === 'production' 
+            ? process.env.X_CALLBACK_URL 
+            : 'http://localhost:3000/auth/x/callback';
+
+        const {
+            client: loggedClient,
+            accessToken,
+            refreshToken,
+            expiresIn,
+        } = await this.twitterClient.loginWithOAuth2({
+            code: code.toString(),
+            codeVerifier: user.oauth.codeVerifier,
+            redirectUri: X_CALLBACK_URL,
+        });
+
+        // Get user info from Twitter
+        const me = await loggedClient.v2.me({
+            'user.fields': ['username', 'name', 'profile_image_url'],
+        });
+
+        const xHandle = me.data?.username?.toLowerCase();
+        if (!xHandle) {
+            throw new Error('Could not read Twitter handle');
+        }
+
+        // Move any single-account tokens over first so they cannot overwrite the new ones later
+        await loadAccounts(user.telegramId);
+
+        // Add the account, or renew it if it is already linked (matched by X user id, since handles can change)
+        const account = await LinkedAccount.findOneAndUpdate(
+            { telegramId: user.telegramId, $or: [{ xUserId: me.data.id }, { xHandle }] },
+            {
+                xHandle,
+                xUserId: me.data.id,
+                accessToken,
+                refreshToken,
+                tokenExpiresAt: new Date(Date.now() + (expiresIn * 1000)),
+                isConnected: true,
+                $inc: { tokenVersion: 1 },
+                $unset: { tokenRefreshLockUntil: 1 },
+                $setOnInsert: { connectedAt: new Date() }
+            },
+            { upsert: true, new: true }
+        );
+
+        // The newly connected account becomes the active one
+        await User.findByIdAndUpdate(user._id, {
+            activeAccountId: account._id,
+            isConnected: true,
+            lastActivity: new Date(),
+            $unset: { oauth: 1 } // Remove OAuth session data
+        });
+
+        const chatId = user.oauth.chatId || user.telegramId;
+        await endConversation({ chatId, telegramId: user.telegramId });
+
+        return {
+            xHandle,
+            telegramId: user.telegramId,
+            chatId,
+            messageThreadId: user.oauth.messageThreadId
+        };
+    }
+
+    async sendConnectedMessage(chatId, xHandle, messageThreadId) {
+        await this.bot.sendMessage(chatId, 
+            `✅ *Successfully connected!*\n\n` +
+            `You're now connected as @${xHandle}, which is now your active account.\n` +
+            `You can now use:\n` +
+            `• /post <text> - to post tweets\n` +
+            `• /accounts - to list your linked accounts\n` +
+            `• /use <handle> - to switch accounts\n` +
+            `• /state - to check your status\n` +
+            `• /disconnect - to disconnect`,
+            { 
+                parse_mode: 'Markdown',
+                message_thread_id: messageThreadId 
+            }
+        );
+    }
+
     async handleDocumentMessage(msg) {
         const chatId = msg?.chat?.id;
         const telegramId = msg?.from?.id;
@@ -496,14 +1055,12 @@ class TelegramBotHandler {
             const fileId = document.file_id;
             const fileSize = document.file_size || 0;
             
-            // Check file extension - only accept .txt files
-            const fileExtension = path.extname(fileName).toLowerCase();
-            if (fileExtension !== '.txt') {
+            // Check file extension
+            if (!isSupportedDocument(fileName)) {
                 await this.bot.sendMessage(chatId, 
                     `❌ *Unsupported file type*\n\n` +
-                    `I only accept \`.txt\` files for long-form text input.\n` +
-                    `Your file: ${fileName}\n` +
-                    `Please send a \`.txt\` file instead.`,
+                    `I accept these files for long-form text input: ${SUPPORTED_EXTENSIONS.map(ext => `\`${ext}\``).join(', ')}\n` +
+                    `Your file: ${fileName}`,
                     { 
                         parse_mode: 'Markdown',
                         message_thread_id: msg.message_thread_id 
@@ -540,17 +1097,8 @@ class TelegramBotHandler {
                 }
             );
             
-            // Get file info from Telegram
-            const fileInfo = await this.bot.getFile(fileId);
-            const filePath = fileInfo.file_path;
-            
-            if (!filePath) {
-                throw new Error('Could not get file path from Telegram');
-            }
-            
-            // Download file from Telegram
-            const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${filePath}`;
-            const fileContent = await this.downloadFile(fileUrl);
+            // Download file from Telegram and extract its text
+            const fileContent = await extractDocumentText(await this.downloadTelegramFile(fileId), fileName);
             
             if (!fileContent || fileContent.trim().length === 0) {
                 await this.bot.sendMessage(chatId, 
@@ -564,94 +1112,203 @@ class TelegramBotHandler {
                 return;
             }
             
-            // Check content length (reasonable limit)
-            if (fileContent.length > 50000) { // ~50KB of text
-                await this.bot.sendMessage(chatId, 
-                    `⚠️ *File content too long*\n\n` +
-                    `The file contains ${fileContent.length} characters.\n` +
-                    `For best results, please keep files under 50,000 characters.\n\n` +
-                    `Processing anyway, but results may be truncated...`,
-                    { 
-                        parse_mode: 'Markdown',
-                        message_thread_id: msg.message_thread_id 
-                    }
-                );
-            }
-            
-            // Process the file content through AI chat
+            // Process the file content through AI chat; long content is summarised there
             // Create a modified message object with the file content as text
             const fileMsg = {
                 ...msg,
-                text: fileContent.substring(0, 50000) // Limit to 50K chars for safety
+                text: fileContent
             };
             
             await this.handleAIChat(fileMsg);
             
         } catch (error) {
+            if (error instanceof DocumentExtractionError) {
+                console.warn('⚠️ Could not extract text from document:', error.message);
+                await this.sendErrorMessage(chatId, error.message, msg);
+                return;
+            }
             console.error('Error handling document message:', error);
             console.error('Error stack:', error.stack);
             await this.sendErrorMessage(
                 chatId, 
-                'Failed to process the file. Please make sure it\'s a valid \`.txt\` file and try again.', 
+                'Failed to process the file. Please make sure it\'s a valid document and try again.', 
                 msg
             );
         }
     }
 
-    async downloadFile(url) {
-        return new Promise((resolve, reject) => {
-            https.get(url, (response) => {
-                if (response.statusCode !== 200) {
-                    reject(new Error(`Failed to download file: ${response.statusCode}`));
-                    return;
-                }
-                
-                let data = '';
-                response.setEncoding('utf8');
-                
-                response.on('data', (chunk) => {
-                    data += chunk;
-                });
-                
-                response.on('end', () => {
-                    resolve(data);
-                });
-                
-                response.on('error', (error) => {
-                    reject(error);
-                });
-            }).on('error', (error) => {
-                reject(error);
-            });
-        });
-    }
-
-    async handlePostCommand(msg, text) {
+    async handleMediaMessage(msg) {
         const chatId = msg?.chat?.id;
         const telegramId = msg?.from?.id;
         
         if (!chatId || !telegramId) {
-            console.error('Invalid message format in handlePostCommand:', msg);
+            console.error('Invalid message format in handleMediaMessage:', msg);
             return;
         }
         
         try {
-            this.logUserMessage(msg, '/post');
+            const media = getMessageMedia(msg);
+            const caption = parseCaption(msg.caption);
 
-            if (text.length > 280) {
-                await this.bot.sendMessage(chatId, 
-                    `❌ Tweet too long! Maximum 280 characters allowed.\n\n` +
-                    `Your tweet: ${text.length} characters`
-                );
+            // Media in groups is usually meant for the people there, so it is never posted;
+            // only an explicit /post caption gets an answer
+            if (msg.chat.type !== 'private') {
+                const routed = caption.text.startsWith('/')
+                    ? this.commands.route(caption.text, await this.getBotUsername())
+                    : null;
+                if (routed?.command?.name === 'post') {
+                    await this.bot.sendMessage(chatId, 
+                        '📷 Media can only be posted from a private chat with me.',
+                        { message_thread_id: msg.message_thread_id }
+                    );
+                }
                 return;
             }
 
-            // Ensure database connection
-            const dbConnected = await this.ensureDatabaseConnection();
-            if (!dbConnected) {
-                await this.bot.sendMessage(chatId, 
-                    `⚠️ *Database temporarily unavailable*\n\n` +
-                    `Unable to post your tweet right now.\n` +
+            this.logUserMessage(msg, 'Media upload');
+            const postText = this.getMediaPostText(caption.text);
+            const item = { ...media, altText: caption.altText, messageId: msg.message_id };
+            
+            if (msg.media_group_id) {
+                await this.handleMediaGroupItem(msg, item, postText);
+                return;
+            }
+
+            if (postText === null) {
+                await this.sendMediaPostHint(msg);
+                return;
+            }
+            
+            await this.postMediaTweet(msg, postText, [item], this.getIdempotencyKey(msg, 'media'), { preview: true });
+            
+        } catch (error) {
+            console.error('Error handling media message:', error);
+            await this.sendErrorMessage(chatId, 'Failed to process your media. Please try again.', msg);
+        }
+    }
+
+    /**
+     * The tweet text for media whose caption asks for it to be posted: the caption itself,
+     * or what follows /post in it ('' for a bare /post). Null if the caption does not ask.
+     */
+    getMediaPostText(captionText) {
+        if (!captionText) {
+            return null;
+        }
+        const routed = this.commands.route(captionText, this.botUsername);
+        if (!routed) {
+            return captionText;
+        }
+        return routed.command?.name === 'post' ? routed.args : null;
+    }
+
+    // "2 photos", "1 video"
+    describeMediaItems(items) {
+        const hasVideo = items.some(item => item.kind === 'video');
+        return `${items.length} ${hasVideo ? 'video' : (items.length === 1 ? 'photo' : 'photos')}`;
+    }
+
+    async sendMediaPostHint(msg) {
+        await this.bot.sendMessage(msg.chat.id, 
+            '📷 To post this, send it again with the tweet text as its caption, ' +
+            'or with /post as the caption to post the media without text.',
+            { message_thread_id: msg.message_thread_id }
+        );
+    }
+
+    // Collect one item of an album; the invocation that receives the last item posts the album.
+    // `postText` is null for items whose caption does not ask for the album to be posted.
+    async handleMediaGroupItem(msg, item, postText) {
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            await this.bot.sendMessage(msg.chat.id, 
+                `⚠️ *Database temporarily unavailable*\n\n` +
+                `Unable to post your album right now.\n` +
+                `Please try again in a moment.`,
+                { 
+                    parse_mode: 'Markdown',
+                    message_thread_id: msg.message_thread_id 
+                }
+            );
+            return;
+        }
+        
+        const collectedAt = new Date();
+        const update = {
+            $setOnInsert: {
+                telegramId: msg.from.id,
+                chatId: msg.chat.id,
+                messageThreadId: msg.message_thread_id
+            },
+            $push: { items: item },
+            $set: { lastItemAt: collectedAt }
+        };
+        if (postText !== null) {
+            update.$set.caption = postText;
+            update.$set.postRequested = true;
+        }
+        
+        try {
+            await MediaGroup.updateOne({ mediaGroupId: msg.media_group_id }, update, { upsert: true });
+        } catch (error) {
+            // Two items raced to create the group; the second attempt updates the existing one
+            if (error.code !== 11000) {
+                throw error;
+            }
+            await MediaGroup.updateOne({ mediaGroupId: msg.media_group_id }, update);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, MEDIA_GROUP_SETTLE_MS));
+        
+        // Only the invocation whose item arrived last gets to claim the album
+        const group = await MediaGroup.findOneAndUpdate(
+            { mediaGroupId: msg.media_group_id, status: 'collecting', lastItemAt: collectedAt },
+            { status: 'posting' },
+            { new: true }
+        );
+        
+        if (!group) {
+            return;
+        }
+        
+        const items = group.items
+            .map(groupItem => groupItem.toObject())
+            .sort((a, b) => a.messageId - b.messageId);
+        
+        if (group.postRequested) {
+            await this.postMediaTweet(msg, group.caption || '', items, `album:${msg.media_group_id}`, { preview: true });
+        } else {
+            await this.sendMediaPostHint(msg);
+        }
+        await MediaGroup.updateOne({ _id: group._id }, { status: 'done' });
+    }
+
+    async postMediaTweet(msg, text, items, idempotencyKey = null, { preview = false, accountId = null } = {}) {
+        const chatId = msg.chat.id;
+        const telegramId = msg.from.id;
+        
+        try {
+            const mediaError = validateMedia(items);
+            if (mediaError) {
+                await this.bot.sendMessage(chatId, `❌ ${mediaError}`, { message_thread_id: msg.message_thread_id });
+                return;
+            }
+            
+            if (text && !parseTweet(text).valid) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ Caption too long! Maximum ${MAX_TWEET_LENGTH} characters allowed.\n\n` +
+                    describeOverLength(text),
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+            
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to post your tweet right now.\n` +
                     `Please try again in a moment.\n\n` +
                     `If this persists, check your MongoDB Atlas IP whitelist settings.`,
                     { 
@@ -661,114 +1318,181 @@ class TelegramBotHandler {
                 );
                 return;
             }
-
-            // Find connected user
-            const user = await User.findOne({ 
-                telegramId,
-                isConnected: true 
-            });
-
-            if (!user) {
+            
+            let account = accountId ? await LinkedAccount.findOne({ _id: accountId, telegramId }) : null;
+            if (accountId && !account) {
                 await this.bot.sendMessage(chatId, 
-                    `❌ You're not connected to Twitter!\n\n` +
-                    `Use /connect to connect your Twitter account first.`
+                    '❌ The account this tweet was meant for is no longer linked. Use /accounts to see your accounts.',
+                    { message_thread_id: msg.message_thread_id }
                 );
                 return;
             }
+            account = account || await this.resolveAccount(msg);
+            if (!account) {
+                return;
+            }
 
-            // Check if token is expired
-            if (user.tokenExpiresAt && new Date() > user.tokenExpiresAt) {
-                await User.findByIdAndUpdate(user._id, { isConnected: false });
+            if (preview && (await User.exists({ telegramId, confirmPosts: true }))) {
+                await this.sendPostPreview(msg, text, account, { items, idempotencyKey });
+                return;
+            }
+            
+            let userClient;
+            try {
+                ({ client: userClient } = await getAccountClient(account));
+            } catch (refreshError) {
+                if (!(refreshError instanceof TokenRefreshError)) {
+                    throw refreshError;
+                }
                 await this.bot.sendMessage(chatId, 
-                    `❌ Your Twitter session has expired!\n\n` +
-                    `Use /connect to reconnect your account.`
+                    `❌ Your session for @${account.xHandle} has expired!\n\n` +
+                    `Use /connect to reconnect the account.`,
+                    { message_thread_id: msg.message_thread_id }
                 );
                 return;
             }
-
-            // Create Twitter client with user's access token
-            const userClient = new TwitterApi(user.accessToken);
             
-            // Post the tweet
-            const tweet = await userClient.v2.tweet(text);
+            const hasVideo = items.some(item => item.kind === 'video');
+            await this.bot.sendChatAction(chatId, hasVideo ? 'upload_video' : 'upload_photo');
             
-            // Update last activity
-            await User.findByIdAndUpdate(user._id, { lastActivity: new Date() });
-
+            const { duplicate, result } = await runOnce(idempotencyKey, async () => {
+                const mediaIds = [];
+                for (const item of items) {
+                    const buffer = await this.downloadTelegramFile(item.fileId);
+                    const mediaId = await userClient.v2.uploadMedia(buffer, {
+                        media_type: item.mimeType,
+                        media_category: getMediaCategory(item.kind)
+                    });
+                    
+                    // X only supports alt text on images and GIFs
+                    if (item.altText && item.kind !== 'video') {
+                        await userClient.v2.createMediaMetadata(mediaId, { alt_text: { text: item.altText } });
+                    }
+                    mediaIds.push(mediaId);
+                }
+                
+                const payload = { media: { media_ids: mediaIds } };
+                if (text) {
+                    payload.text = text;
+                }
+                const tweet = await userClient.v2.tweet(payload);
+                return { tweetId: tweet.data.id };
+            });
+            
+            if (duplicate) {
+                console.log('⏭️ Media tweet already posted for this request:', result);
+                return;
+            }
+            
+            await this.markAccountUsed(account);
+            await recordPostedTweet({ tweetId: result.tweetId, account, text });
+            
+            // Plain text: the caption may contain Markdown characters, and the tweet is already live
             await this.bot.sendMessage(chatId, 
-                `✅ *Tweet posted successfully!*\n\n` +
-                `📝 *Text:* ${text}\n` +
-                `🆔 *Tweet ID:* ${tweet.data.id}\n` +
-                `🐦 *Posted as:* @${user.xHandle}`,
-                { parse_mode: 'Markdown' }
+                `✅ Tweet posted successfully!\n\n` +
+                (text ? `📝 Text: ${text}\n` : '') +
+                `🖼 Media: ${this.describeMediaItems(items)}\n` +
+                `🆔 Tweet ID: ${result.tweetId}\n` +
+                `🐦 Posted as: @${account.xHandle}`,
+                { 
+                    reply_markup: this.getUndoKeyboard(result.tweetId),
+                    message_thread_id: msg.message_thread_id 
+                }
             );
-
+            
         } catch (error) {
-            console.error('Error handling /post command:', error);
+            console.error('Error posting media tweet:', error);
             
-            // Check if error is database-related
-            if (error.name === 'MongooseError' || error.name === 'MongoServerSelectionError' || error.message?.includes('buffering timed out')) {
-                await this.bot.sendMessage(chatId, 
-                    `⚠️ *Database connection error*\n\n` +
-                    `Unable to post your tweet right now.\n` +
-                    `Please try again in a moment.\n\n` +
-                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
-                    { 
-                        parse_mode: 'Markdown',
-                        message_thread_id: msg?.message_thread_id 
-                    }
+            if (error.code === 403) {
+                // Accounts connected before media support lack the media.write scope
+                await this.sendErrorMessage(chatId, 
+                    'Twitter refused the media upload. Use /disconnect and then /connect to grant media permissions.', 
+                    msg
                 );
             } else {
-                await this.sendErrorMessage(chatId, 'Failed to post tweet. Please try again or use /connect to reconnect.', msg);
+                await this.sendErrorMessage(chatId, 'Failed to post your media. Please try again.', msg);
             }
         }
     }
 
-    async handleStateCommand(msg) {
-        // Extract chatId early to ensure it's available in catch block
+    async downloadTelegramFile(fileId) {
+        // Get file info from Telegram
+        const fileInfo = await this.bot.getFile(fileId);
+        const filePath = fileInfo.file_path;
+        
+        if (!filePath) {
+            throw new Error('Could not get file path from Telegram');
+        }
+        
+        const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${filePath}`;
+        return this.downloadFile(fileUrl);
+    }
+
+    // Download a file into a Buffer (binary-safe; call .toString('utf8') for text)
+    async downloadFile(url, maxBytes = TELEGRAM_DOWNLOAD_LIMIT) {
+        return new Promise((resolve, reject) => {
+            https.get(url, (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject(new Error(`Failed to download file: ${response.statusCode}`));
+                    return;
+                }
+                
+                const chunks = [];
+                let received = 0;
+                
+                response.on('data', (chunk) => {
+                    received += chunk.length;
+                    if (received > maxBytes) {
+                        response.destroy(new Error(`File exceeds ${maxBytes} bytes`));
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                
+                response.on('end', () => {
+                    resolve(Buffer.concat(chunks));
+                });
+                
+                response.on('error', (error) => {
+                    reject(error);
+                });
+            }).on('error', (error) => {
+                reject(error);
+            });
+        });
+    }
+
+    // With allowAccountPrefix, "/post @handle text" posts to that linked account instead of the active one.
+    // With preview, users in confirm mode get a preview to confirm instead; accountId posts to a specific account.
+    async handlePostCommand(msg, text, { allowAccountPrefix = false, preview = false, accountId = null, source = 'manual' } = {}) {
         const chatId = msg?.chat?.id;
         const telegramId = msg?.from?.id;
         
         if (!chatId || !telegramId) {
-            console.error('Invalid message format in handleStateCommand:', msg);
+            console.error('Invalid message format in handlePostCommand:', msg);
             return;
         }
         
         try {
-            this.logUserMessage(msg, '/state');
-            
-            // Debug logging
-            console.log('🔧 State command - message_thread_id:', msg.message_thread_id);
-            console.log('🔧 State command - is_topic_message:', msg.is_topic_message);
+            this.logUserMessage(msg, '/post');
 
-            // Check database connection before querying
-            const mongoose = require('mongoose');
-            if (mongoose.connection.readyState !== 1) {
-                console.warn('⚠️ Database not connected, attempting to reconnect...');
-                try {
-                    const database = require('../config/database');
-                    await database.connect();
-                } catch (dbError) {
-                    console.error('❌ Database connection failed:', dbError.message);
-                    await this.bot.sendMessage(chatId, 
-                        `⚠️ *Database temporarily unavailable*\n\n` +
-                        `Please try again in a moment.\n` +
-                        `If the problem persists, check your MongoDB Atlas IP whitelist settings.`,
-                        { 
-                            parse_mode: 'Markdown',
-                            message_thread_id: msg.message_thread_id 
-                        }
-                    );
-                    return;
-                }
+            if (!text) {
+                await this.bot.sendMessage(chatId, 
+                    'Usage: /post <text>\n\nWith several linked accounts, /post @handle <text> posts from a specific one.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
             }
 
-            const user = await User.findOne({ telegramId });
-            
-            if (!user) {
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
                 await this.bot.sendMessage(chatId, 
-                    `❌ *No account found!*\n\n` +
-                    `Use /connect to connect your Twitter account.`,
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to post your tweet right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
                     { 
                         parse_mode: 'Markdown',
                         message_thread_id: msg.message_thread_id 
@@ -777,138 +1501,2571 @@ class TelegramBotHandler {
                 return;
             }
 
-            if (!user.isConnected) {
+            // A leading @handle only selects an account if it is one of the user's;
+            // otherwise it is a mention and part of the tweet
+            let account = accountId ? await LinkedAccount.findOne({ _id: accountId, telegramId }) : null;
+            if (accountId && !account) {
                 await this.bot.sendMessage(chatId, 
-                    `❌ *Not connected to Twitter*\n\n` +
-                    `Use /connect to connect your account.`,
-                    { 
-                        parse_mode: 'Markdown',
-                        message_thread_id: msg.message_thread_id 
-                    }
+                    '❌ The account this tweet was meant for is no longer linked. Use /accounts to see your accounts.',
+                    { message_thread_id: msg.message_thread_id }
                 );
                 return;
             }
+            const prefix = allowAccountPrefix && !account ? text.match(/^@(\w{1,15})\s+([\s\S]+)$/) : null;
+            if (prefix) {
+                account = await findAccount(telegramId, prefix[1]);
+                if (account) {
+                    text = prefix[2];
+                }
+            }
+            account = account || await this.resolveAccount(msg);
+            if (!account) {
+                return;
+            }
 
-            // Check if token is expired
-            if (user.tokenExpiresAt && new Date() > user.tokenExpiresAt) {
-                await User.findByIdAndUpdate(user._id, { isConnected: false });
+            if (!parseTweet(text).valid) {
                 await this.bot.sendMessage(chatId, 
-                    `❌ *Twitter session expired*\n\n` +
-                    `Use /connect to reconnect your account.`,
-                    { 
-                        parse_mode: 'Markdown',
-                        message_thread_id: msg.message_thread_id 
-                    }
+                    `❌ Tweet too long! Maximum ${MAX_TWEET_LENGTH} characters allowed.\n\n` +
+                    describeOverLength(text)
                 );
                 return;
             }
 
-            const lastActivity = new Date(user.lastActivity).toLocaleString();
-            const joinTime = new Date(user.joinTime).toLocaleString();
+            if (preview && (await User.exists({ telegramId, confirmPosts: true }))) {
+                await this.sendPostPreview(msg, text, account, { source });
+                return;
+            }
 
-            const options = { parse_mode: 'Markdown' };
-            if (msg.message_thread_id) {
-                options.message_thread_id = msg.message_thread_id;
+            // Get a client with a valid access token, refreshing it if it has expired
+            let userClient;
+            try {
+                ({ client: userClient } = await getAccountClient(account));
+            } catch (refreshError) {
+                if (!(refreshError instanceof TokenRefreshError)) {
+                    throw refreshError;
+                }
+                await this.bot.sendMessage(chatId, 
+                    `❌ Your session for @${account.xHandle} has expired!\n\n` +
+                    `Use /connect to reconnect the account.`
+                );
+                return;
+            }
+            
+            // Post the tweet
+            const { duplicate, result } = await runOnce(this.getIdempotencyKey(msg, 'post'), async () => {
+                const tweet = await userClient.v2.tweet(text);
+                return { tweetId: tweet.data.id };
+            });
+            
+            if (duplicate) {
+                console.log('⏭️ Tweet already posted for this request:', result);
+                await this.bot.sendMessage(chatId, 
+                    `ℹ️ This tweet was already posted${result?.tweetId ? ` (ID: ${result.tweetId})` : ''}.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
             }
-            console.log('🔧 State command - Final options:', options);
             
+            // Update last activity
+            await this.markAccountUsed(account);
+            await recordPostedTweet({ tweetId: result.tweetId, account, text, source });
+
+            // Plain text: the tweet may contain Markdown characters, and it is already live
             await this.bot.sendMessage(chatId, 
-                `✅ *Connected to Twitter*\n\n` +
-                `🐦 *Handle:* @${user.xHandle}\n` +
-                `⏰ *Last Activity:* ${lastActivity}\n` +
-                `📅 *Connected Since:* ${joinTime}\n\n` +
-                `Use /post <text> to tweet!`,
-                options
+                `✅ Tweet posted successfully!\n\n` +
+                `📝 Text: ${text}\n` +
+                `🆔 Tweet ID: ${result.tweetId}\n` +
+                `🐦 Posted as: @${account.xHandle}`,
+                {
+                    reply_markup: this.getUndoKeyboard(result.tweetId),
+                    message_thread_id: msg.message_thread_id
+                }
             );
 
-        } catch (error) {
-            console.error('Error handling /state command:', error);
-            
-            // Check if error is database-related
-            if (error.name === 'MongooseError' || error.name === 'MongoServerSelectionError' || error.message?.includes('buffering timed out')) {
-                await this.bot.sendMessage(chatId, 
-                    `⚠️ *Database connection error*\n\n` +
-                    `Unable to check your status right now.\n` +
-                    `Please try again in a moment.\n\n` +
-                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
-                    { 
-                        parse_mode: 'Markdown',
-                        message_thread_id: msg?.message_thread_id 
-                    }
-                );
-            } else {
-                await this.sendErrorMessage(chatId, 'Failed to check status. Please try again.', msg);
+        } catch (error) {
+            console.error('Error handling /post command:', error);
+            
+            // Check if error is database-related
+            if (error.name === 'MongooseError' || error.name === 'MongoServerSelectionError' || error.message?.includes('buffering timed out')) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database connection error*\n\n` +
+                    `Unable to post your tweet right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg?.message_thread_id 
+                    }
+                );
+            } else {
+                await this.sendErrorMessage(chatId, 'Failed to post tweet. Please try again or use /connect to reconnect.', msg);
+            }
+        }
+    }
+
+    // Preview text for a tweet awaiting confirmation, with its outcome once decided
+    renderPostPreview(text, xHandle, outcome = null, items = null) {
+        const { weightedLength, urls, mentions } = parseTweet(text);
+        return `👀 ${outcome ? 'Preview' : 'Preview - not posted yet'}\n\n` +
+            (text ? `${text}\n\n` : '') +
+            (items ? `🖼 Media: ${this.describeMediaItems(items)}\n` : '') +
+            `📏 Length: ${weightedLength}/${MAX_TWEET_LENGTH}${urls.length > 0 ? ` (links count as ${TRANSFORMED_URL_LENGTH})` : ''}\n` +
+            `🐦 Account: @${xHandle}\n` +
+            (urls.length > 0 ? `🔗 Links: ${urls.join(', ')}\n` : '') +
+            (mentions.length > 0 ? `👤 Mentions: ${mentions.join(', ')}\n` : '') +
+            `\n${outcome || `Confirm within ${PREVIEW_TIMEOUT_MS / 60000} minutes, or it expires.`}`;
+    }
+
+    // `items` are the photos or video of a media post; `idempotencyKey` defaults to the /post one
+    async sendPostPreview(msg, text, account, { source = 'manual', items = null, idempotencyKey = null } = {}) {
+        const previewId = crypto.randomBytes(6).toString('hex');
+        const preview = await this.bot.sendMessage(msg.chat.id, 
+            this.renderPostPreview(text, account.xHandle, null, items),
+            {
+                disable_web_page_preview: true,
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✅ Confirm', callback_data: `confirmpost:${previewId}:${msg.from.id}` },
+                        { text: '❌ Cancel', callback_data: `cancelpost:${previewId}:${msg.from.id}` }
+                    ]]
+                },
+                message_thread_id: msg.message_thread_id
+            }
+        );
+
+        // Replying "yes" or "no" works as well as the buttons
+        await this.askQuestion(msg, 'confirmpost', 'confirm', {
+            previewId,
+            text,
+            accountId: account._id.toString(),
+            xHandle: account.xHandle,
+            source,
+            items,
+            previewMessageId: preview.message_id,
+            idempotencyKey: idempotencyKey || this.getIdempotencyKey(msg, 'post')
+        });
+    }
+
+    async handlePostPreviewCallback(query, action, previewId, ownerId) {
+        // In groups, other members see the buttons too; they must not touch someone else's preview
+        if (ownerId && ownerId !== query.from.id) {
+            await this.bot.answerCallbackQuery(query.id, { text: 'Only the person who sent this post can confirm or cancel it.', show_alert: true });
+            return;
+        }
+
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            await this.bot.answerCallbackQuery(query.id, { text: '⚠️ Database temporarily unavailable. Please try again in a moment.', show_alert: true });
+            return;
+        }
+
+        const msgLike = { ...query.message, from: query.from };
+        const conversation = await takeConversation(
+            { chatId: query.message.chat.id, telegramId: query.from.id },
+            'confirmpost',
+            { previewId }
+        );
+        if (!conversation) {
+            await this.bot.answerCallbackQuery(query.id, { text: 'This preview has expired or was already handled. Send /post again.', show_alert: true });
+            // Buttons from before the owner was encoded in them are left alone
+            if (ownerId) {
+                await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+                    chat_id: query.message.chat.id,
+                    message_id: query.message.message_id
+                });
+            }
+            return;
+        }
+
+        const confirmed = action === 'confirmpost';
+        await this.bot.answerCallbackQuery(query.id, { text: confirmed ? '📤 Posting...' : '❌ Cancelled' });
+        await this.finishPostPreview(msgLike, conversation, confirmed);
+    }
+
+    // Text reply to a preview: "yes" posts, "no" cancels
+    async handlePostPreviewReply(msg, conversation) {
+        const answer = msg.text.trim().toLowerCase();
+        const confirmed = ['yes', 'y', 'confirm', 'post', 'ok'].includes(answer);
+        if (!confirmed && !['no', 'n', 'cancel'].includes(answer)) {
+            await this.bot.sendMessage(msg.chat.id, 
+                'Tap ✅ Confirm or ❌ Cancel under the preview, or reply "yes" or "no".',
+                { message_thread_id: msg.message_thread_id }
+            );
+            return;
+        }
+
+        const taken = await takeConversation(
+            { chatId: msg.chat.id, telegramId: msg.from.id },
+            'confirmpost',
+            { previewId: conversation.data.previewId }
+        );
+        if (taken) {
+            await this.finishPostPreview(msg, taken, confirmed);
+        }
+    }
+
+    async finishPostPreview(msg, conversation, confirmed) {
+        const { text, accountId, xHandle, source, items, previewMessageId, idempotencyKey } = conversation.data;
+
+        // The conversation is already taken, so post before anything else can fail
+        if (confirmed) {
+            // Keep the key of the original /post so a redelivered update cannot post it again
+            const key = idempotencyKey || `preview:${conversation.data.previewId}`;
+            const msgLike = { ...msg, text, _idempotencyKey: key };
+            if (items) {
+                await this.postMediaTweet(msgLike, text, items, key, { accountId });
+            } else {
+                await this.handlePostCommand(msgLike, text, { accountId, source });
+            }
+        }
+
+        // Best effort: the preview message may have been deleted or be too old to edit
+        try {
+            await this.bot.editMessageText(
+                this.renderPostPreview(text, xHandle, confirmed ? '✅ Confirmed' : '❌ Cancelled, nothing was posted.', items),
+                {
+                    chat_id: msg.chat.id,
+                    message_id: previewMessageId,
+                    disable_web_page_preview: true,
+                    reply_markup: { inline_keyboard: [] }
+                }
+            );
+        } catch (editError) {
+            console.warn('⚠️ Could not update the post preview:', editError.message);
+        }
+    }
+
+    async handleConfirmCommand(msg, args) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleConfirmCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/confirm');
+
+            const setting = args.toLowerCase();
+            if (setting && !['on', 'off'].includes(setting)) {
+                await this.bot.sendMessage(chatId, 
+                    'Usage: /confirm on|off',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to update your settings right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            let enabled;
+            if (setting) {
+                enabled = setting === 'on';
+                await User.updateOne(
+                    { telegramId },
+                    { confirmPosts: enabled, $setOnInsert: { telegramUsername: msg.from.username } },
+                    { upsert: true }
+                );
+            } else {
+                enabled = !!(await User.exists({ telegramId, confirmPosts: true }));
+            }
+
+            await this.bot.sendMessage(chatId, 
+                enabled
+                    ? `👀 Confirm mode is on: /post, /postdraft and media posts show a preview, and nothing is published until you tap Confirm.\n\nTurn it off with /confirm off.`
+                    : `⚡ Confirm mode is off: /post publishes immediately.\n\nTurn it on with /confirm on.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /confirm command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to update your settings. Please try again.', msg);
+        }
+    }
+
+    getUndoKeyboard(tweetId) {
+        return {
+            inline_keyboard: [[{ text: `↩️ Undo (${UNDO_WINDOW_MS / 1000}s)`, callback_data: `undo:${tweetId}` }]]
+        };
+    }
+
+    /**
+     * Delete a tweet the bot posted, using the account it was posted from, and record the deletion.
+     * Returns `{ deleted: true }`, or `{ deleted: false, reason }` with a user-facing reason.
+     */
+    async deletePostedTweet(postedTweet) {
+        const account = postedTweet.accountId
+            ? await LinkedAccount.findOne({ _id: postedTweet.accountId, telegramId: postedTweet.telegramId })
+            : null;
+        if (!account) {
+            return { deleted: false, reason: `@${postedTweet.xHandle} is no longer linked, so I can't delete its tweets. Use /connect to link it again.` };
+        }
+
+        let userClient;
+        try {
+            ({ client: userClient } = await getAccountClient(account));
+        } catch (refreshError) {
+            if (!(refreshError instanceof TokenRefreshError)) {
+                throw refreshError;
+            }
+            return { deleted: false, reason: `Your session for @${account.xHandle} has expired. Use /connect to reconnect the account.` };
+        }
+
+        try {
+            await userClient.v2.deleteTweet(postedTweet.tweetId);
+        } catch (error) {
+            // Already deleted on X, e.g. from the app; only the record is out of date
+            if (error.code !== 404) {
+                throw error;
+            }
+        }
+
+        await markTweetDeleted(postedTweet);
+        console.log(`🗑 Deleted tweet ${postedTweet.tweetId} from @${account.xHandle}`);
+        return { deleted: true };
+    }
+
+    async handleUndoCallback(query, tweetId) {
+        const chatId = query.message.chat.id;
+
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            await this.bot.answerCallbackQuery(query.id, { text: '⚠️ Database temporarily unavailable. Please try again in a moment.', show_alert: true });
+            return;
+        }
+
+        const postedTweet = await findPostedTweet(query.from.id, tweetId);
+        if (!postedTweet) {
+            await this.bot.answerCallbackQuery(query.id, { text: 'Only the person who posted this tweet can undo it, and only once.', show_alert: true });
+            return;
+        }
+
+        const removeButton = () => this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: chatId,
+            message_id: query.message.message_id
+        });
+
+        if (Date.now() - postedTweet.postedAt.getTime() > UNDO_WINDOW_MS) {
+            await this.bot.answerCallbackQuery(query.id, { text: `The undo window has passed. Use /delete ${tweetId} to delete this tweet.`, show_alert: true });
+            await removeButton();
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(query.id, { text: '↩️ Deleting...' });
+        const { deleted, reason } = await this.deletePostedTweet(postedTweet);
+        if (deleted) {
+            await removeButton();
+        }
+        await this.bot.sendMessage(chatId, 
+            deleted ? `↩️ Undone: tweet ${tweetId} was deleted from @${postedTweet.xHandle}.` : `❌ ${reason}`,
+            {
+                reply_to_message_id: query.message.message_id,
+                message_thread_id: query.message.message_thread_id
+            }
+        );
+    }
+
+    async handleDeleteCommand(msg, reference) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleDeleteCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/delete');
+
+            if (!parseTweetReference(reference)) {
+                await this.bot.sendMessage(chatId, 
+                    'Usage: /delete <tweet id|last>\n\nYou can also paste the tweet link.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to delete your tweet right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const postedTweet = await findPostedTweet(telegramId, reference);
+            if (!postedTweet) {
+                await this.bot.sendMessage(chatId, 
+                    reference.trim().toLowerCase() === 'last'
+                        ? '❌ You have no posted tweets left to delete.'
+                        : '❌ I can only delete tweets I posted for you, and that one is not among them (or is already deleted).',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await this.bot.sendChatAction(chatId, 'typing');
+            const { deleted, reason } = await this.deletePostedTweet(postedTweet);
+
+            await this.bot.sendMessage(chatId, 
+                deleted
+                    ? `🗑 Deleted tweet ${postedTweet.tweetId} from @${postedTweet.xHandle}:\n\n${postedTweet.text || ''}`.trim()
+                    : `❌ ${reason}`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /delete command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to delete the tweet. Please try again.', msg);
+        }
+    }
+
+    async handleHistoryCommand(msg, limit) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleHistoryCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/history');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to load your post history right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const postedTweets = await recentPostedTweets(telegramId, Math.min(Math.max(limit, 1), MAX_HISTORY_ENTRIES));
+            if (postedTweets.length === 0) {
+                await this.bot.sendMessage(chatId, 
+                    '🕘 Nothing posted through the bot yet. Use /post to publish a tweet.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const entries = postedTweets.map(postedTweet => {
+                const when = postedTweet.postedAt.toISOString().slice(0, 16).replace('T', ' ');
+                const chars = Array.from((postedTweet.text || '').replace(/\s+/g, ' ').trim());
+                const snippet = chars.length > HISTORY_SNIPPET_LENGTH
+                    ? `${chars.slice(0, HISTORY_SNIPPET_LENGTH - 1).join('')}…`
+                    : chars.join('');
+                const status = postedTweet.deletedAt ? '🗑 deleted' : tweetUrl(postedTweet);
+                return `${when} @${postedTweet.xHandle} (${postedTweet.source || 'manual'})\n${snippet}\n${status}`;
+            });
+
+            await this.bot.sendMessage(chatId, 
+                `🕘 Recent posts (latest first, UTC)\n\n${entries.join('\n\n')}`,
+                { 
+                    disable_web_page_preview: true,
+                    message_thread_id: msg.message_thread_id 
+                }
+            );
+
+        } catch (error) {
+            console.error('Error handling /history command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to load your post history. Please try again.', msg);
+        }
+    }
+
+    async handleThreadCommand(msg, text) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleThreadCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/thread');
+
+            if (!text) {
+                await this.bot.sendMessage(chatId, 
+                    `🧵 *Post a thread*\n\n` +
+                    `Usage: /thread <long text>\n\n` +
+                    `I'll split your text into numbered tweets on sentence boundaries and post them as a reply chain. ` +
+                    `You can also paste generated tweets ("Tweet 1: ... Tweet 2: ...") to post them as a thread.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const parts = buildThread(text);
+
+            if (parts.length > MAX_THREAD_PARTS) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ Thread too long! Maximum ${MAX_THREAD_PARTS} tweets allowed.\n\n` +
+                    `Your text would need ${parts.length} tweets.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to post your thread right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const account = await this.resolveAccount(msg);
+            if (!account) {
+                return;
+            }
+
+            let thread = null;
+            const { duplicate } = await runOnce(this.getIdempotencyKey(msg, 'thread'), async () => {
+                thread = await Thread.create({
+                    telegramId,
+                    chatId,
+                    accountId: account._id,
+                    parts
+                });
+                return { threadId: thread._id.toString() };
+            });
+
+            if (duplicate) {
+                console.log('⏭️ Thread already started for this request');
+                return;
+            }
+
+            await this.postThread(msg, thread, account);
+
+        } catch (error) {
+            console.error('Error handling /thread command:', error);
+            
+            // Check if error is database-related
+            if (error.name === 'MongooseError' || error.name === 'MongoServerSelectionError' || error.message?.includes('buffering timed out')) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database connection error*\n\n` +
+                    `Unable to post your thread right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg?.message_thread_id 
+                    }
+                );
+            } else {
+                await this.sendErrorMessage(chatId, 'Failed to post thread. Please try again.', msg);
+            }
+        }
+    }
+
+    async handleResumeCommand(msg) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleResumeCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/resume');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to resume your thread right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            // Claim the most recent failed thread so two resumes cannot post the same part
+            const thread = await Thread.findOneAndUpdate(
+                { telegramId, status: 'failed' },
+                { status: 'posting', updatedAt: new Date() },
+                { sort: { updatedAt: -1 }, new: true }
+            );
+
+            if (!thread) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ No interrupted thread to resume.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            // The rest of the thread must go to the account that posted its first parts
+            const account = thread.accountId
+                ? await LinkedAccount.findOne({ _id: thread.accountId, telegramId })
+                : await this.resolveAccount(msg);
+            if (!account) {
+                await Thread.findByIdAndUpdate(thread._id, { status: 'failed', updatedAt: new Date() });
+                if (thread.accountId) {
+                    await this.bot.sendMessage(chatId, 
+                        '❌ The account this thread was posted from is no longer linked.',
+                        { message_thread_id: msg.message_thread_id }
+                    );
+                }
+                return;
+            }
+
+            await this.postThread(msg, thread, account);
+
+        } catch (error) {
+            console.error('Error handling /resume command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to resume thread. Please try again.', msg);
+        }
+    }
+
+    // Post the remaining parts of a thread as a reply chain, recording progress after each part
+    async postThread(msg, thread, account) {
+        const chatId = msg.chat.id;
+        const total = thread.parts.length;
+
+        let userClient;
+        try {
+            ({ client: userClient, account } = await getAccountClient(account));
+        } catch (refreshError) {
+            if (!(refreshError instanceof TokenRefreshError)) {
+                throw refreshError;
+            }
+            await Thread.findByIdAndUpdate(thread._id, { status: 'failed', lastError: refreshError.message, updatedAt: new Date() });
+            await this.bot.sendMessage(chatId, 
+                `❌ Your session for @${account.xHandle} has expired!\n\n` +
+                `Use /connect to reconnect the account, then /resume to continue the thread.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+            return;
+        }
+
+        await this.bot.sendChatAction(chatId, 'typing');
+
+        const tweetIds = [...thread.tweetIds];
+        for (let index = tweetIds.length; index < total; index++) {
+            try {
+                const previousId = tweetIds[index - 1];
+                const { result } = await runOnce(`thread:${thread._id}:${index}`, async () => {
+                    const tweet = previousId
+                        ? await userClient.v2.reply(thread.parts[index], previousId)
+                        : await userClient.v2.tweet(thread.parts[index]);
+                    return { tweetId: tweet.data.id };
+                });
+
+                if (!result?.tweetId) {
+                    throw new Error('This part is already being posted by another request');
+                }
+
+                tweetIds.push(result.tweetId);
+                await Thread.findByIdAndUpdate(thread._id, { tweetIds, updatedAt: new Date() });
+                await recordPostedTweet({ tweetId: result.tweetId, account, text: thread.parts[index], source: 'thread' });
+            } catch (error) {
+                console.error(`❌ Failed to post thread part ${index + 1}/${total}:`, error);
+                await Thread.findByIdAndUpdate(thread._id, {
+                    status: 'failed',
+                    lastError: error.message,
+                    updatedAt: new Date()
+                });
+
+                const postedReport = tweetIds.length > 0
+                    ? `✅ Posted: parts 1-${tweetIds.length}\n`
+                    : `✅ Posted: none\n`;
+
+                // Plain text: API error messages can contain Markdown characters
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ Thread interrupted\n\n` +
+                    postedReport +
+                    `❌ Failed: part ${index + 1} of ${total}\n` +
+                    `📝 Reason: ${error.message}\n\n` +
+                    `Use /resume to continue from part ${index + 1}.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+        }
+
+        await Thread.findByIdAndUpdate(thread._id, { status: 'completed', updatedAt: new Date() });
+        await this.markAccountUsed(account);
+
+        await this.bot.sendMessage(chatId, 
+            `✅ *Thread posted successfully!*\n\n` +
+            `🧵 *Parts:* ${total}\n` +
+            `🆔 *First Tweet ID:* ${tweetIds[0]}\n` +
+            `🐦 *Posted as:* @${account.xHandle}`,
+            { 
+                parse_mode: 'Markdown',
+                message_thread_id: msg.message_thread_id 
+            }
+        );
+    }
+
+    async handleScheduleCommand(msg, args) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleScheduleCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/schedule');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to schedule your tweet right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const account = await this.resolveAccount(msg);
+            if (!account) {
+                return;
+            }
+
+            const user = await User.findOne({ telegramId });
+            const timezone = user.timezone || 'UTC';
+            const parsed = parseSchedule(args, timezone);
+
+            if (!parsed || !parsed.text) {
+                await this.bot.sendMessage(chatId, 
+                    `🗓 *Schedule a tweet*\n\n` +
+                    `Usage: /schedule <when> <text>\n\n` +
+                    `*Examples:*\n` +
+                    `• /schedule in 2h Big news coming!\n` +
+                    `• /schedule in 1d30m Reminder...\n` +
+                    `• /schedule tomorrow 09:00 Good morning!\n` +
+                    `• /schedule 2026-12-31 23:59 Happy new year!\n\n` +
+                    `Times are in your timezone (\`${timezone}\`). Change it with /timezone.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            if (parsed.date <= new Date()) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ That time is in the past. Please pick a future time.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            if (!parseTweet(parsed.text).valid) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ Tweet too long! Maximum ${MAX_TWEET_LENGTH} characters allowed.\n\n` +
+                    describeOverLength(parsed.text),
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const post = await ScheduledPost.create({
+                telegramId,
+                chatId,
+                messageThreadId: msg.message_thread_id,
+                accountId: account._id,
+                text: parsed.text,
+                scheduledAt: parsed.date
+            });
+
+            // Plain text: the tweet may contain Markdown characters, and the post is already queued
+            await this.bot.sendMessage(chatId, 
+                `🗓 Tweet scheduled!\n\n` +
+                `📝 Text: ${parsed.text}\n` +
+                `⏰ When: ${formatInTimezone(parsed.date, timezone)}\n` +
+                `🐦 Account: @${account.xHandle}\n` +
+                `🆔 ID: ${this.shortId(post._id)}\n\n` +
+                `Use /queue to see pending tweets or /unschedule ${this.shortId(post._id)} to cancel.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /schedule command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to schedule tweet. Please try again.', msg);
+        }
+    }
+
+    async handleQueueCommand(msg) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleQueueCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/queue');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const user = await User.findOne({ telegramId });
+            const timezone = user?.timezone || 'UTC';
+
+            const posts = await ScheduledPost.find({ telegramId, status: 'pending' })
+                .sort({ scheduledAt: 1 })
+                .limit(20);
+
+            if (posts.length === 0) {
+                await this.bot.sendMessage(chatId, 
+                    '📭 No scheduled tweets. Use /schedule <when> <text> to add one.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const lines = posts.map(post => {
+                const preview = post.text.length > 60 ? `${post.text.substring(0, 57)}...` : post.text;
+                return `🆔 ${this.shortId(post._id)} ⏰ ${formatInTimezone(post.scheduledAt, timezone)}\n${preview}`;
+            });
+
+            // Plain text: queued tweets may contain Markdown characters
+            await this.bot.sendMessage(chatId, 
+                `🗓 Scheduled tweets (${posts.length})\n\n` +
+                lines.join('\n\n') +
+                `\n\nUse /unschedule <id> to cancel one.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /queue command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to load scheduled tweets. Please try again.', msg);
+        }
+    }
+
+    async handleUnscheduleCommand(msg, id) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleUnscheduleCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/unschedule');
+
+            if (!id) {
+                await this.bot.sendMessage(chatId, 
+                    'Usage: /unschedule <id>\n\nUse /queue to see the IDs of your scheduled tweets.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const target = await this.findByShortId(ScheduledPost, { telegramId, status: 'pending' }, id);
+
+            // Only cancel if the dispatcher has not claimed it yet
+            const cancelled = target && await ScheduledPost.findOneAndUpdate(
+                { _id: target._id, status: 'pending' },
+                { status: 'cancelled' },
+                { new: true }
+            );
+
+            if (!cancelled) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ No pending scheduled tweet with ID ${id}. Use /queue to see your scheduled tweets.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await this.bot.sendMessage(chatId, 
+                `✅ Scheduled tweet \`${this.shortId(cancelled._id)}\` cancelled.`,
+                { 
+                    parse_mode: 'Markdown',
+                    message_thread_id: msg.message_thread_id 
+                }
+            );
+
+        } catch (error) {
+            if (error instanceof AmbiguousIdError) {
+                await this.sendErrorMessage(chatId, error.message, msg);
+                return;
+            }
+            console.error('Error handling /unschedule command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to cancel scheduled tweet. Please try again.', msg);
+        }
+    }
+
+    async handleTimezoneCommand(msg, timezone) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleTimezoneCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/timezone');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            if (!timezone) {
+                const user = await User.findOne({ telegramId });
+                await this.bot.sendMessage(chatId, 
+                    `🌍 Your timezone: ${user?.timezone || 'UTC'}\n\n` +
+                    `Change it with /timezone <Area/City>, e.g. /timezone Europe/Berlin`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            if (!isValidTimezone(timezone)) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ Unknown timezone: ${timezone}\n\n` +
+                    `Use an IANA name such as Europe/London or America/New_York.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await User.findOneAndUpdate(
+                { telegramId },
+                { timezone, $setOnInsert: { telegramUsername: msg.from.username } },
+                { upsert: true }
+            );
+
+            await this.bot.sendMessage(chatId, 
+                `✅ Timezone set to ${timezone}\n` +
+                `🕐 Current time: ${formatInTimezone(new Date(), timezone)}`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /timezone command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to update timezone. Please try again.', msg);
+        }
+    }
+
+    async handleStyleCommand(msg, args) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleStyleCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/style');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const user = await User.findOne({ telegramId });
+            const current = user ? user.toObject().style : null;
+
+            if (!args) {
+                await this.bot.sendMessage(chatId, 
+                    `🎨 Your tweet style\n\n${describeStyle(current)}\n\n` +
+                    `Change it with:\n` +
+                    `/style tone <witty, technical, formal...>\n` +
+                    `/style emoji <none|few|many>\n` +
+                    `/style hashtags <none|few|many>\n` +
+                    `/style language <language|auto>\n` +
+                    `/style ban <word, word>  ·  /style unban <word>\n` +
+                    `/style example <one of your tweets>  ·  /style example clear\n` +
+                    `/style link <on|off> - add the source link to tweets generated from a URL\n` +
+                    `/style reset`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const { style, message, error } = applyStyleCommand(current, args);
+            if (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error}`, { message_thread_id: msg.message_thread_id });
+                return;
+            }
+
+            await User.findOneAndUpdate(
+                { telegramId },
+                { style, $setOnInsert: { telegramUsername: msg.from.username } },
+                { upsert: true }
+            );
+
+            await this.bot.sendMessage(chatId, 
+                `✅ ${message}\n\n${describeStyle(style)}`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /style command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to update your style. Please try again.', msg);
+        }
+    }
+
+    // Opt-in: read the user's recent tweets and store a voice profile used by tweet generation
+    async handleTrainVoiceCommand(msg, args) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleTrainVoiceCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/trainvoice');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            if (args.toLowerCase() === 'off') {
+                await User.updateOne({ telegramId }, { $unset: { voiceProfile: 1, voiceTrainedAt: 1 } });
+                await this.bot.sendMessage(chatId, 
+                    `🗑 Voice profile deleted. Generated tweets will only follow your /style settings.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const account = await this.resolveAccount(msg);
+            if (!account) {
+                return;
+            }
+
+            let userClient;
+            try {
+                ({ client: userClient } = await getAccountClient(account));
+            } catch (refreshError) {
+                if (!(refreshError instanceof TokenRefreshError)) {
+                    throw refreshError;
+                }
+                await this.bot.sendMessage(chatId, 
+                    `❌ Your session for @${account.xHandle} has expired!\n\n` +
+                    `Use /connect to reconnect the account.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await this.bot.sendChatAction(chatId, 'typing');
+
+            // Original tweets only: retweets and replies say little about how the user writes
+            const me = await userClient.v2.me();
+            const timeline = await userClient.v2.userTimeline(me.data.id, {
+                max_results: 100,
+                exclude: ['retweets', 'replies']
+            });
+            const texts = timeline.tweets.map(tweet => tweet.text);
+
+            const profile = buildVoiceProfile(texts);
+            if (!profile) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ I need at least ${MIN_TWEETS} of your own tweets to learn your voice. Found ${texts.length}.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await User.updateOne({ telegramId }, { voiceProfile: profile, voiceTrainedAt: new Date() });
+
+            await this.bot.sendMessage(chatId, 
+                `✅ Voice profile trained for @${account.xHandle}\n\n` +
+                `${describeVoiceProfile(profile)}\n\n` +
+                `Generated tweets will now follow this voice. Run /trainvoice again to refresh it, or /trainvoice off to delete it.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /trainvoice command:', error);
+            if (error.code === 429) {
+                await this.sendErrorMessage(chatId, 'Twitter rate limit reached. Please try /trainvoice again later.', msg);
+            } else {
+                await this.sendErrorMessage(chatId, 'Failed to learn your voice. Please try again or use /connect to reconnect.', msg);
+            }
+        }
+    }
+
+    // Post every scheduled tweet that is due. Called by the cron endpoint; each post is
+    // claimed atomically so overlapping invocations never publish the same one twice.
+    async dispatchScheduledPosts(limit = 20) {
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            throw new Error('Database not connected');
+        }
+
+        const results = { posted: 0, failed: 0 };
+
+        for (let i = 0; i < limit; i++) {
+            const post = await ScheduledPost.findOneAndUpdate(
+                {
+                    scheduledAt: { $lte: new Date() },
+                    $or: [
+                        { status: 'pending' },
+                        // A dispatcher that timed out mid-post leaves its claim behind; runOnce prevents a second tweet
+                        { status: 'processing', claimedAt: { $lt: new Date(Date.now() - SCHEDULED_CLAIM_LEASE_MS) } }
+                    ]
+                },
+                { status: 'processing', claimedAt: new Date() },
+                { sort: { scheduledAt: 1 }, new: true }
+            );
+
+            if (!post) {
+                break;
+            }
+
+            const posted = await this.publishScheduledPost(post);
+            results[posted ? 'posted' : 'failed']++;
+        }
+
+        console.log('🗓 Scheduled posts dispatched:', results);
+        return results;
+    }
+
+    async publishScheduledPost(post) {
+        // Plain text: the tweet and the error reason may contain Markdown characters
+        const notify = async (text) => {
+            try {
+                await this.bot.sendMessage(post.chatId, text, { message_thread_id: post.messageThreadId });
+            } catch (sendError) {
+                console.error(`❌ Failed to notify chat ${post.chatId} about scheduled post ${post._id}:`, sendError.message);
+            }
+        };
+
+        try {
+            // Posts scheduled before multi-account support go to the active account
+            const target = post.accountId
+                ? await LinkedAccount.findOne({ _id: post.accountId, telegramId: post.telegramId })
+                : await findAccount(post.telegramId);
+            if (!target) {
+                throw new Error('The account this tweet was scheduled for is no longer linked');
+            }
+
+            const { client: userClient, account } = await getAccountClient(target);
+            const { result } = await runOnce(`scheduled:${post._id}`, async () => {
+                const tweet = await userClient.v2.tweet(post.text);
+                return { tweetId: tweet.data.id };
+            });
+
+            if (!result?.tweetId) {
+                // Only a reclaimed post gets here: the earlier attempt stopped before recording its outcome
+                throw new Error('An earlier attempt to post this tweet was interrupted. Check your profile before scheduling it again');
+            }
+
+            await ScheduledPost.findByIdAndUpdate(post._id, { status: 'posted', tweetId: result.tweetId });
+            await this.markAccountUsed(account);
+            await recordPostedTweet({ tweetId: result.tweetId, account, text: post.text, source: 'scheduled' });
+
+            await notify(
+                `✅ Scheduled tweet posted!\n\n` +
+                `📝 Text: ${post.text}\n` +
+                `🆔 Tweet ID: ${result.tweetId}\n` +
+                `🐦 Posted as: @${account.xHandle}`
+            );
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to publish scheduled post ${post._id}:`, error);
+            await ScheduledPost.findByIdAndUpdate(post._id, { status: 'failed', lastError: error.message });
+
+            const reason = error instanceof TokenRefreshError
+                ? 'The Twitter session for this account has expired. Use /connect to reconnect.'
+                : error.message;
+            await notify(
+                `❌ Scheduled tweet failed\n\n` +
+                `📝 Text: ${post.text}\n` +
+                `📝 Reason: ${reason}`
+            );
+            return false;
+        }
+    }
+
+    async handleDraftCommand(msg, text) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleDraftCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/draft');
+
+            if (!text) {
+                await this.bot.sendMessage(chatId, 
+                    'Usage: /draft <text>\n\nSaves a tweet for later. Use /drafts to see your drafts.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to save your draft right now.\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const draft = await Draft.create({ telegramId, text, origin: 'manual' });
+
+            await this.bot.sendMessage(chatId, 
+                `💾 Draft saved (ID: ${this.shortId(draft._id)}, ${measureTweet(text)} chars)\n\n` +
+                `Use /postdraft ${this.shortId(draft._id)} to publish it.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /draft command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to save draft. Please try again.', msg);
+        }
+    }
+
+    async handleDraftsCommand(msg, page = 1) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleDraftsCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/drafts');
+
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const { text, reply_markup } = await this.renderDraftsPage(telegramId, page);
+            await this.bot.sendMessage(chatId, text, {
+                reply_markup,
+                message_thread_id: msg.message_thread_id
+            });
+
+        } catch (error) {
+            console.error('Error handling /drafts command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to load drafts. Please try again.', msg);
+        }
+    }
+
+    // Build the text and pagination keyboard for one page of a user's drafts
+    async renderDraftsPage(telegramId, page) {
+        const total = await Draft.countDocuments({ telegramId });
+        if (total === 0) {
+            return { text: '📭 No drafts yet. Generated tweets are saved automatically, or use /draft <text>.' };
+        }
+
+        const pages = Math.ceil(total / DRAFTS_PAGE_SIZE);
+        const current = Math.min(Math.max(page, 1), pages);
+        const drafts = await Draft.find({ telegramId })
+            .sort({ updatedAt: -1 })
+            .skip((current - 1) * DRAFTS_PAGE_SIZE)
+            .limit(DRAFTS_PAGE_SIZE);
+
+        const lines = drafts.map(draft => {
+            const origin = draft.origin === 'ai' ? '🤖' : '✍️';
+            const source = draft.sourceText
+                ? `\n   ↳ from: ${draft.sourceText.replace(/\s+/g, ' ').substring(0, 50)}${draft.sourceText.length > 50 ? '...' : ''}`
+                : '';
+            return `${origin} ${this.shortId(draft._id)} (${measureTweet(draft.text)} chars)\n${draft.text}${source}`;
+        });
+
+        const buttons = [];
+        if (current > 1) {
+            buttons.push({ text: '◀️ Prev', callback_data: `drafts:${telegramId}:${current - 1}` });
+        }
+        if (current < pages) {
+            buttons.push({ text: 'Next ▶️', callback_data: `drafts:${telegramId}:${current + 1}` });
+        }
+
+        return {
+            text: `💾 Drafts (page ${current}/${pages}, ${total} total)\n\n` +
+                lines.join('\n\n') +
+                `\n\n/postdraft <id> · /editdraft <id> <text> · /deldraft <id>`,
+            reply_markup: buttons.length > 0 ? { inline_keyboard: [buttons] } : undefined
+        };
+    }
+
+    async handleDraftsPageCallback(query, ownerId, page) {
+        if (ownerId !== query.from.id) {
+            await this.bot.answerCallbackQuery(query.id, { text: 'Use /drafts to see your own drafts.', show_alert: true });
+            return;
+        }
+
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            await this.bot.answerCallbackQuery(query.id, { text: '⚠️ Database temporarily unavailable. Please try again in a moment.', show_alert: true });
+            return;
+        }
+
+        const { text, reply_markup } = await this.renderDraftsPage(ownerId, page);
+        await this.bot.answerCallbackQuery(query.id);
+        await this.bot.editMessageText(text, {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            reply_markup
+        });
+    }
+
+    async handleEditDraftCommand(msg, args) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleEditDraftCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/editdraft');
+
+            // "/editdraft <id>" alone asks for the new text in the next message
+            const match = args.match(/^(\S+)(?:\s+([\s\S]+))?$/);
+            if (!match) {
+                await this.bot.sendMessage(chatId, 
+                    'Usage: /editdraft <id> [new text]\n\nUse /drafts to see your draft IDs.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const [, id, text] = match;
+            const draft = await this.findByShortId(Draft, { telegramId }, id);
+
+            if (!draft) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ No draft with ID ${id}. Use /drafts to see your drafts.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            if (!text) {
+                await this.askQuestion(msg, 'editdraft', 'text', { draftId: draft._id.toString() });
+                await this.bot.sendMessage(chatId, 
+                    `✏️ Send the new text for draft ${this.shortId(draft._id)}, or /cancel to keep it.\n\n` +
+                    `Current text:\n${draft.text}`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            draft.text = text.trim();
+            await draft.save();
+
+            await this.bot.sendMessage(chatId, 
+                `✅ Draft ${this.shortId(draft._id)} updated (${measureTweet(draft.text)} chars)`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            if (error instanceof AmbiguousIdError) {
+                await this.sendErrorMessage(chatId, error.message, msg);
+                return;
+            }
+            console.error('Error handling /editdraft command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to update draft. Please try again.', msg);
+        }
+    }
+
+    async handleDeleteDraftCommand(msg, id) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleDeleteDraftCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/deldraft');
+
+            if (!id) {
+                await this.bot.sendMessage(chatId, 
+                    'Usage: /deldraft <id>\n\nUse /drafts to see your draft IDs.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const draft = await this.findByShortId(Draft, { telegramId }, id);
+
+            if (!draft) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ No draft with ID ${id}. Use /drafts to see your drafts.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await Draft.deleteOne({ _id: draft._id });
+
+            await this.bot.sendMessage(chatId, 
+                `🗑 Draft ${this.shortId(draft._id)} deleted.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            if (error instanceof AmbiguousIdError) {
+                await this.sendErrorMessage(chatId, error.message, msg);
+                return;
+            }
+            console.error('Error handling /deldraft command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to delete draft. Please try again.', msg);
+        }
+    }
+
+    async handlePostDraftCommand(msg, id) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handlePostDraftCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/postdraft');
+
+            if (!id) {
+                await this.bot.sendMessage(chatId, 
+                    'Usage: /postdraft <id>\n\nUse /drafts to see your draft IDs.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Please try again in a moment.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const draft = await this.findByShortId(Draft, { telegramId }, id);
+
+            if (!draft) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ No draft with ID ${id}. Use /drafts to see your drafts.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await this.handlePostCommand(msg, draft.text, { preview: true, source: draft.origin });
+
+        } catch (error) {
+            if (error instanceof AmbiguousIdError) {
+                await this.sendErrorMessage(chatId, error.message, msg);
+                return;
+            }
+            console.error('Error handling /postdraft command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to post draft. Please try again.', msg);
+        }
+    }
+
+    async handleStateCommand(msg) {
+        // Extract chatId early to ensure it's available in catch block
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleStateCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/state');
+            
+            // Debug logging
+            console.log('🔧 State command - message_thread_id:', msg.message_thread_id);
+            console.log('🔧 State command - is_topic_message:', msg.is_topic_message);
+
+            // Check database connection before querying
+            const mongoose = require('mongoose');
+            if (mongoose.connection.readyState !== 1) {
+                console.warn('⚠️ Database not connected, attempting to reconnect...');
+                try {
+                    const database = require('../config/database');
+                    await database.connect();
+                } catch (dbError) {
+                    console.error('❌ Database connection failed:', dbError.message);
+                    await this.bot.sendMessage(chatId, 
+                        `⚠️ *Database temporarily unavailable*\n\n` +
+                        `Please try again in a moment.\n` +
+                        `If the problem persists, check your MongoDB Atlas IP whitelist settings.`,
+                        { 
+                            parse_mode: 'Markdown',
+                            message_thread_id: msg.message_thread_id 
+                        }
+                    );
+                    return;
+                }
+            }
+
+            const { user, accounts, active } = await loadAccounts(telegramId);
+            
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ *No account found!*\n\n` +
+                    `Use /connect to connect your Twitter account.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            if (accounts.length === 0) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ *Not connected to Twitter*\n\n` +
+                    `Use /connect to connect your account.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            // Refresh the active account's token if it has expired
+            try {
+                if (active) {
+                    await ensureFreshTokens(active);
+                }
+            } catch (refreshError) {
+                if (!(refreshError instanceof TokenRefreshError)) {
+                    throw refreshError;
+                }
+                await this.bot.sendMessage(chatId, 
+                    `❌ *Twitter session expired*\n\n` +
+                    `Use /connect to reconnect @${active.xHandle}.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const lastActivity = new Date(user.lastActivity).toLocaleString();
+            const joinTime = new Date(user.joinTime).toLocaleString();
+
+            const options = { parse_mode: 'Markdown' };
+            if (msg.message_thread_id) {
+                options.message_thread_id = msg.message_thread_id;
+            }
+            console.log('🔧 State command - Final options:', options);
+            
+            await this.bot.sendMessage(chatId, 
+                `✅ *Connected to Twitter*\n\n` +
+                `🐦 *Active account:* ${active ? `@${active.xHandle}` : 'none (pick one with /use)'}\n` +
+                (accounts.length > 1 ? `👥 *Linked accounts:* ${accounts.length} (see /accounts)\n` : '') +
+                `⏰ *Last Activity:* ${lastActivity}\n` +
+                `📅 *Connected Since:* ${joinTime}\n\n` +
+                `Use /post <text> to tweet!`,
+                options
+            );
+
+        } catch (error) {
+            console.error('Error handling /state command:', error);
+            
+            // Check if error is database-related
+            if (error.name === 'MongooseError' || error.name === 'MongoServerSelectionError' || error.message?.includes('buffering timed out')) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database connection error*\n\n` +
+                    `Unable to check your status right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg?.message_thread_id 
+                    }
+                );
+            } else {
+                await this.sendErrorMessage(chatId, 'Failed to check status. Please try again.', msg);
+            }
+        }
+    }
+
+    async handleAccountsCommand(msg) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleAccountsCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/accounts');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to load your accounts right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const { accounts, active } = await loadAccounts(telegramId);
+
+            if (accounts.length === 0) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ You're not connected to Twitter!\n\n` +
+                    `Use /connect to connect your Twitter account first.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const lines = accounts.map(account => {
+                const marker = active && account._id.equals(active._id) ? '▶️' : '•';
+                const status = account.isConnected ? '' : ' ⚠️ reconnect with /connect';
+                return `${marker} @${account.xHandle}${status}`;
+            });
+
+            await this.bot.sendMessage(chatId, 
+                `🐦 Linked accounts\n\n` +
+                `${lines.join('\n')}\n\n` +
+                `▶️ marks the active account.\n` +
+                `• /use <handle> - switch the active account\n` +
+                `• /post @handle <text> - post from another account once\n` +
+                `• /connect - link another account\n` +
+                `• /disconnect <handle> - unlink an account`,
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /accounts command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to load your accounts. Please try again.', msg);
+        }
+    }
+
+    async handleUseCommand(msg, handle) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleUseCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/use');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to switch accounts right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            // Without a handle, ask which account to use
+            if (!handle) {
+                const { accounts } = await loadAccounts(telegramId);
+                if (accounts.length > 1) {
+                    await this.askQuestion(msg, 'use', 'handle');
+                }
+                await this.bot.sendMessage(chatId, 
+                    accounts.length > 1
+                        ? `Which account should I post from? Send its handle, or /cancel.\n\n` +
+                          accounts.map(account => `• @${account.xHandle}`).join('\n')
+                        : 'Usage: /use <handle>\n\nSee your linked accounts with /accounts.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const account = await this.resolveAccount(msg, handle);
+            if (!account) {
+                return;
+            }
+
+            const user = await User.findOne({ telegramId });
+            await setActiveAccount(user, account);
+
+            await this.bot.sendMessage(chatId, 
+                `✅ Now posting as @${account.xHandle}` +
+                (account.isConnected ? '' : `\n\n⚠️ This account needs to be reconnected with /connect before it can post.`),
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /use command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to switch accounts. Please try again.', msg);
+        }
+    }
+
+    async handleDisconnectCommand(msg, handle = '') {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleDisconnectCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/disconnect');
+
+            // Ensure database connection
+            const dbConnected = await this.ensureDatabaseConnection();
+            if (!dbConnected) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database temporarily unavailable*\n\n` +
+                    `Unable to disconnect right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg.message_thread_id 
+                    }
+                );
+                return;
+            }
+
+            const { user, accounts } = await loadAccounts(telegramId);
+            
+            if (accounts.length === 0) {
+                await this.bot.sendMessage(chatId, '❌ You\'re not connected to Twitter.');
+                return;
+            }
+
+            // With several accounts linked, the one to remove must be named
+            let account = accounts.length === 1 && !handle ? accounts[0] : null;
+            if (handle) {
+                account = accounts.find(linked => linked.xHandle === normalizeHandle(handle));
+                if (!account) {
+                    await this.bot.sendMessage(chatId, 
+                        `❌ @${normalizeHandle(handle)} is not one of your linked accounts. Use /accounts to see them.`,
+                        { message_thread_id: msg.message_thread_id }
+                    );
+                    return;
+                }
+            }
+            if (!account) {
+                await this.bot.sendMessage(chatId, 
+                    `You have ${accounts.length} linked accounts. Which one should I disconnect?\n\n` +
+                    accounts.map(linked => `• /disconnect ${linked.xHandle}`).join('\n'),
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await removeAccount(user, account);
+            if (accounts.length === 1) {
+                await User.findByIdAndUpdate(user._id, { isConnected: false });
+            }
+
+            await this.bot.sendMessage(chatId, 
+                `✅ *Disconnected from Twitter*\n\n` +
+                `You've been disconnected from @${account.xHandle}\n` +
+                (accounts.length > 1 ? `Use /accounts to see your remaining accounts.` : `Use /connect to reconnect.`),
+                { parse_mode: 'Markdown' }
+            );
+
+        } catch (error) {
+            console.error('Error handling /disconnect command:', error);
+            
+            // Check if error is database-related
+            if (error.name === 'MongooseError' || error.name === 'MongoServerSelectionError' || error.message?.includes('buffering timed out')) {
+                await this.bot.sendMessage(chatId, 
+                    `⚠️ *Database connection error*\n\n` +
+                    `Unable to disconnect right now.\n` +
+                    `Please try again in a moment.\n\n` +
+                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                    { 
+                        parse_mode: 'Markdown',
+                        message_thread_id: msg?.message_thread_id 
+                    }
+                );
+            } else {
+                await this.sendErrorMessage(chatId, 'Failed to disconnect. Please try again.', msg);
+            }
+        }
+    }
+
+    // Workspace commands need a group chat and the database. Tells the user why not and returns false otherwise.
+    async checkWorkspaceChat(msg) {
+        const chatId = msg.chat.id;
+
+        if (!['group', 'supergroup'].includes(msg.chat.type)) {
+            await this.bot.sendMessage(chatId, 
+                '👥 Workspaces live in group chats. Add me to a group and run /workspace there.',
+                { message_thread_id: msg.message_thread_id }
+            );
+            return false;
+        }
+
+        // Ensure database connection
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            await this.bot.sendMessage(chatId, 
+                `⚠️ *Database temporarily unavailable*\n\n` +
+                `Unable to load this workspace right now.\n` +
+                `Please try again in a moment.\n\n` +
+                `If this persists, check your MongoDB Atlas IP whitelist settings.`,
+                { 
+                    parse_mode: 'Markdown',
+                    message_thread_id: msg.message_thread_id 
+                }
+            );
+            return false;
+        }
+        return true;
+    }
+
+    // The workspace bound to this group chat. Tells the user what to do and returns null if there is none.
+    async loadWorkspace(msg) {
+        const chatId = msg.chat.id;
+        if (!(await this.checkWorkspaceChat(msg))) {
+            return null;
+        }
+
+        const workspace = await Workspace.findOne({ chatId });
+        if (!workspace) {
+            await this.bot.sendMessage(chatId, 
+                '❌ This group has no workspace yet. A group admin can create one with /workspace.',
+                { message_thread_id: msg.message_thread_id }
+            );
+        }
+        return workspace;
+    }
+
+    // Reply with `message` and return false unless the sender has at least `role` in the workspace
+    async requireRole(msg, workspace, role, message) {
+        if (hasRole(workspace, msg.from.id, role)) {
+            return true;
+        }
+        await this.bot.sendMessage(msg.chat.id, 
+            `🔒 ${message}`,
+            { message_thread_id: msg.message_thread_id }
+        );
+        return false;
+    }
+
+    // Linked accounts of the workspace that still exist, in the order they were added
+    async getWorkspaceAccounts(workspace) {
+        const accounts = await LinkedAccount.find({ _id: { $in: workspace.accountIds } });
+        return workspace.accountIds
+            .map(id => accounts.find(account => account._id.equals(id)))
+            .filter(Boolean);
+    }
+
+    async handleWorkspaceCommand(msg, args) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleWorkspaceCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/workspace');
+
+            if (!(await this.checkWorkspaceChat(msg))) {
+                return;
+            }
+            let workspace = await Workspace.findOne({ chatId });
+
+            const [subcommand = '', handle = ''] = args.split(/\s+/);
+
+            if (!workspace) {
+                // Only a Telegram admin of the group may bind it to a workspace
+                const chatMember = await this.bot.getChatMember(chatId, telegramId);
+                if (!['creator', 'administrator'].includes(chatMember.status)) {
+                    await this.bot.sendMessage(chatId, 
+                        '🔒 Only group admins can create a workspace for this group.',
+                        { message_thread_id: msg.message_thread_id }
+                    );
+                    return;
+                }
+
+                try {
+                    workspace = await Workspace.create({
+                        chatId,
+                        title: msg.chat.title,
+                        createdBy: telegramId,
+                        members: [{ telegramId, username: msg.from.username, role: 'admin' }]
+                    });
+                } catch (error) {
+                    if (error.code !== 11000) {
+                        throw error;
+                    }
+                    workspace = await Workspace.findOne({ chatId }); // Created concurrently
+                }
+                await recordAudit(workspace, msg.from, 'workspace.created', { details: { title: msg.chat.title } });
+
+                await this.bot.sendMessage(chatId, 
+                    `✅ Workspace created for ${msg.chat.title || 'this group'}\n\n` +
+                    `You are its admin. Next steps:\n` +
+                    `• /workspace link [handle] - publish approved tweets to one of your linked X accounts\n` +
+                    `• /role editor - reply to a member's message to let them submit tweets\n` +
+                    `• /submit <text> - propose a tweet for approval`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                if (!subcommand) {
+                    return;
+                }
+            }
+
+            switch (subcommand.toLowerCase()) {
+                case 'link':
+                    await this.linkWorkspaceAccount(msg, workspace, handle);
+                    break;
+                case 'unlink':
+                    await this.unlinkWorkspaceAccount(msg, workspace, handle);
+                    break;
+                case '':
+                    await this.sendWorkspaceSummary(msg, workspace);
+                    break;
+                default:
+                    await this.bot.sendMessage(chatId, 
+                        'Usage: /workspace, /workspace link [handle] or /workspace unlink <handle>',
+                        { message_thread_id: msg.message_thread_id }
+                    );
+            }
+
+        } catch (error) {
+            console.error('Error handling /workspace command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to update the workspace. Please try again.', msg);
+        }
+    }
+
+    async sendWorkspaceSummary(msg, workspace) {
+        const accounts = await this.getWorkspaceAccounts(workspace);
+        const pending = await Submission.countDocuments({ workspaceId: workspace._id, status: 'pending' });
+
+        const members = ROLES.slice().reverse().map(role => {
+            const names = workspace.members
+                .filter(member => member.role === role)
+                .map(member => member.username ? `@${member.username}` : String(member.telegramId));
+            return `${role}s: ${names.length > 0 ? names.join(', ') : '-'}`;
+        });
+
+        await this.bot.sendMessage(msg.chat.id, 
+            `👥 Workspace: ${workspace.title || 'this group'}\n\n` +
+            `🐦 Accounts: ${accounts.length > 0 ? accounts.map(account => `@${account.xHandle}`).join(', ') : 'none (admins: /workspace link)'}\n` +
+            `⏳ Waiting for approval: ${pending}\n\n` +
+            `${members.join('\n')}\n\n` +
+            `• /submit <text> - propose a tweet (editors)\n` +
+            `• /role <admin|editor|viewer|remove> - reply to a member's message (admins)\n` +
+            `• /audit [n] - recent decisions`,
+            { message_thread_id: msg.message_thread_id }
+        );
+    }
+
+    async linkWorkspaceAccount(msg, workspace, handle) {
+        if (!(await this.requireRole(msg, workspace, 'admin', 'Only workspace admins can link accounts.'))) {
+            return;
+        }
+
+        // Admins can only link their own accounts: approved tweets are posted with its tokens
+        const account = await this.resolveAccount(msg, handle || null);
+        if (!account) {
+            return;
+        }
+
+        if (workspace.accountIds.some(id => id.equals(account._id))) {
+            await this.bot.sendMessage(msg.chat.id, 
+                `ℹ️ @${account.xHandle} is already linked to this workspace.`,
+                { message_thread_id: msg.message_thread_id }
+            );
+            return;
+        }
+
+        // Only while still an admin, in case the role was taken away in the meantime
+        const linked = await Workspace.updateOne(
+            { _id: workspace._id, members: { $elemMatch: { telegramId: msg.from.id, role: 'admin' } } },
+            { $addToSet: { accountIds: account._id } }
+        );
+        if (linked.matchedCount === 0) {
+            await this.bot.sendMessage(msg.chat.id, 
+                '🔒 Only workspace admins can link accounts.',
+                { message_thread_id: msg.message_thread_id }
+            );
+            return;
+        }
+        await recordAudit(workspace, msg.from, 'account.linked', { target: `@${account.xHandle}` });
+
+        await this.bot.sendMessage(msg.chat.id, 
+            `✅ Approved tweets in this workspace can now be published to @${account.xHandle}.`,
+            { message_thread_id: msg.message_thread_id }
+        );
+    }
+
+    async unlinkWorkspaceAccount(msg, workspace, handle) {
+        if (!(await this.requireRole(msg, workspace, 'admin', 'Only workspace admins can unlink accounts.'))) {
+            return;
+        }
+
+        const accounts = await this.getWorkspaceAccounts(workspace);
+        const account = accounts.find(linked => linked.xHandle === normalizeHandle(handle));
+        if (!account) {
+            await this.bot.sendMessage(msg.chat.id, 
+                `Usage: /workspace unlink <handle>\n\n` +
+                `Linked: ${accounts.length > 0 ? accounts.map(linked => `@${linked.xHandle}`).join(', ') : 'none'}`,
+                { message_thread_id: msg.message_thread_id }
+            );
+            return;
+        }
+
+        await Workspace.updateOne({ _id: workspace._id }, { $pull: { accountIds: account._id } });
+        await recordAudit(workspace, msg.from, 'account.unlinked', { target: `@${account.xHandle}` });
+
+        await this.bot.sendMessage(msg.chat.id, 
+            `✅ @${account.xHandle} is no longer linked to this workspace.`,
+            { message_thread_id: msg.message_thread_id }
+        );
+    }
+
+    async handleRoleCommand(msg, args) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleRoleCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/role');
+
+            const workspace = await this.loadWorkspace(msg);
+            if (!workspace) {
+                return;
+            }
+            if (!(await this.requireRole(msg, workspace, 'admin', 'Only workspace admins can change roles.'))) {
+                return;
+            }
+
+            const tokens = args.split(/\s+/).filter(Boolean);
+            const role = tokens.map(token => token.toLowerCase()).find(token => ROLES.includes(token) || token === 'remove');
+            const mention = tokens.find(token => token.startsWith('@') || /^\d+$/.test(token));
+            // "@-" and the like name nobody; an empty pattern would match members without a username
+            const mentionedUsername = mention?.startsWith('@') ? mention.slice(1).replace(/[^\w]/g, '') : '';
+
+            // The member is the author of the replied-to message, or named by @username or numeric id
+            let target = null;
+            const repliedTo = msg.reply_to_message?.from;
+            if (repliedTo && !repliedTo.is_bot) {
+                target = { telegramId: repliedTo.id, username: repliedTo.username };
+            } else if (mention && /^\d+$/.test(mention)) {
+                const known = workspace.members.find(member => member.telegramId === Number(mention));
+                target = { telegramId: Number(mention), username: known?.username };
+            } else if (mentionedUsername) {
+                const pattern = new RegExp(`^${mentionedUsername}$`, 'i');
+                const member = workspace.members.find(known => pattern.test(known.username || ''));
+                const user = member ? null : await User.findOne({ telegramUsername: pattern });
+                if (member || user) {
+                    target = member
+                        ? { telegramId: member.telegramId, username: member.username }
+                        : { telegramId: user.telegramId, username: user.telegramUsername };
+                } else {
+                    await this.bot.sendMessage(chatId, 
+                        `❌ I don't know ${mention} yet. Reply to one of their messages with /role ${role || '<role>'} instead.`,
+                        { message_thread_id: msg.message_thread_id }
+                    );
+                    return;
+                }
+            }
+
+            if (!role || !target) {
+                await this.bot.sendMessage(chatId, 
+                    `Usage: reply to a member's message with /role <admin|editor|viewer|remove>, ` +
+                    `or use /role @username <role>\n\n` +
+                    `• admin - link accounts, manage roles, approve tweets\n` +
+                    `• editor - submit tweets for approval\n` +
+                    `• viewer - see the workspace and audit log`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const previous = getRole(workspace, target.telegramId);
+            const name = target.username ? `@${target.username}` : String(target.telegramId);
+            if (role === 'remove' && !previous) {
+                await this.bot.sendMessage(chatId, 
+                    `ℹ️ ${name} is not a member of this workspace.`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const accountsBefore = await this.getWorkspaceAccounts(workspace);
+            let updated;
+            try {
+                updated = await setMemberRole(workspace, target, role === 'remove' ? null : role);
+            } catch (error) {
+                if (!(error instanceof WorkspaceError)) {
+                    throw error;
+                }
+                await this.bot.sendMessage(chatId, 
+                    `❌ ${error.message}`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            await recordAudit(updated, msg.from, 'role.changed', {
+                target: name,
+                details: { telegramId: target.telegramId, from: previous, to: role === 'remove' ? null : role }
+            });
+
+            // Accounts of a member who is no longer an admin are unlinked along with the role change
+            const unlinked = accountsBefore.filter(account => !updated.accountIds.some(id => id.equals(account._id)));
+            for (const account of unlinked) {
+                await recordAudit(updated, msg.from, 'account.unlinked', { target: `@${account.xHandle}` });
+            }
+
+            await this.bot.sendMessage(chatId, 
+                (role === 'remove'
+                    ? `✅ ${name} was removed from the workspace.`
+                    : `✅ ${name} is now ${role === 'admin' ? 'an' : 'a'} ${role}.`) +
+                (unlinked.length > 0
+                    ? `\n\n🔗 Unlinked their accounts: ${unlinked.map(account => `@${account.xHandle}`).join(', ')}`
+                    : ''),
+                { message_thread_id: msg.message_thread_id }
+            );
+
+        } catch (error) {
+            console.error('Error handling /role command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to change the role. Please try again.', msg);
+        }
+    }
+
+    async handleSubmitCommand(msg, text) {
+        const chatId = msg?.chat?.id;
+        const telegramId = msg?.from?.id;
+        
+        if (!chatId || !telegramId) {
+            console.error('Invalid message format in handleSubmitCommand:', msg);
+            return;
+        }
+        
+        try {
+            this.logUserMessage(msg, '/submit');
+
+            const workspace = await this.loadWorkspace(msg);
+            if (!workspace) {
+                return;
+            }
+            if (!(await this.requireRole(msg, workspace, 'editor', 'Only workspace editors and admins can submit tweets.'))) {
+                return;
+            }
+
+            const accounts = await this.getWorkspaceAccounts(workspace);
+            if (accounts.length === 0) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ No X account is linked to this workspace yet. An admin can link one with /workspace link.',
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            // A leading @handle picks one of the workspace accounts; otherwise it is part of the tweet
+            let account = accounts.length === 1 ? accounts[0] : null;
+            const prefix = text.match(/^@(\w{1,15})\s+([\s\S]+)$/);
+            const named = prefix && accounts.find(linked => linked.xHandle === normalizeHandle(prefix[1]));
+            if (named) {
+                account = named;
+                text = prefix[2];
+            }
+
+            if (!text || !account) {
+                await this.bot.sendMessage(chatId, 
+                    `Usage: /submit ${accounts.length > 1 ? '@handle ' : ''}<text>\n\n` +
+                    `Accounts: ${accounts.map(linked => `@${linked.xHandle}`).join(', ')}`,
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            if (!parseTweet(text).valid) {
+                await this.bot.sendMessage(chatId, 
+                    `❌ Tweet too long! Maximum ${MAX_TWEET_LENGTH} characters allowed.\n\n` +
+                    describeOverLength(text),
+                    { message_thread_id: msg.message_thread_id }
+                );
+                return;
+            }
+
+            const { duplicate, result } = await runOnce(this.getIdempotencyKey(msg, 'submit'), async () => {
+                const submission = await Submission.create({
+                    workspaceId: workspace._id,
+                    chatId,
+                    messageThreadId: msg.message_thread_id,
+                    authorId: telegramId,
+                    authorName: displayName(msg.from),
+                    accountId: account._id,
+                    text
+                });
+                return { submissionId: submission._id.toString() };
+            });
+            if (duplicate) {
+                console.log('⏭️ Tweet already submitted for this request:', result);
+                return;
+            }
+
+            const submission = await Submission.findById(result.submissionId);
+            await recordAudit(workspace, msg.from, 'submission.created', {
+                target: submission._id.toString(),
+                details: { account: `@${account.xHandle}`, text }
+            });
+
+            const card = await this.bot.sendMessage(chatId, 
+                this.renderSubmission(submission, account),
+                {
+                    reply_markup: this.getSubmissionKeyboard(submission),
+                    message_thread_id: msg.message_thread_id
+                }
+            );
+            await Submission.updateOne({ _id: submission._id }, { approvalMessageId: card.message_id });
+
+        } catch (error) {
+            console.error('Error handling /submit command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to submit the tweet. Please try again.', msg);
+        }
+    }
+
+    getSubmissionKeyboard(submission) {
+        return {
+            inline_keyboard: [[
+                { text: '✅ Approve', callback_data: `approve:${submission._id}` },
+                { text: '❌ Reject', callback_data: `reject:${submission._id}` }
+            ]]
+        };
+    }
+
+    // Approval card text for a submission, with its outcome once decided
+    renderSubmission(submission, account, outcome = null) {
+        return `📝 Tweet submitted for approval\n` +
+            `👤 From: ${submission.authorName || submission.authorId}\n` +
+            `🐦 Account: ${account ? `@${account.xHandle}` : 'no longer linked'}\n\n` +
+            `${submission.text}\n\n` +
+            (outcome || 'Admins: approve to publish, or reject.');
+    }
+
+    async handleSubmissionDecision(query, action, submissionId) {
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            await this.bot.answerCallbackQuery(query.id, { text: '⚠️ Database temporarily unavailable. Please try again in a moment.', show_alert: true });
+            return;
+        }
+
+        const submission = mongoose.isValidObjectId(submissionId) ? await Submission.findById(submissionId) : null;
+        const workspace = submission ? await Workspace.findById(submission.workspaceId) : null;
+        if (!submission || !workspace) {
+            await this.bot.answerCallbackQuery(query.id, { text: 'This submission no longer exists.', show_alert: true });
+            return;
+        }
+
+        if (!hasRole(workspace, query.from.id, 'admin')) {
+            await this.bot.answerCallbackQuery(query.id, { text: 'Only workspace admins can approve or reject tweets.', show_alert: true });
+            return;
+        }
+
+        // Claim the decision so two admins tapping at once cannot both act on it
+        const decided = await Submission.findOneAndUpdate(
+            { _id: submission._id, status: 'pending' },
+            { status: action === 'approve' ? 'approved' : 'rejected', decidedBy: query.from.id, decidedAt: new Date() },
+            { new: true }
+        );
+        if (!decided) {
+            await this.bot.answerCallbackQuery(query.id, { text: `This tweet was already ${submission.status}.`, show_alert: true });
+            return;
+        }
+
+        await recordAudit(workspace, query.from, action === 'approve' ? 'submission.approved' : 'submission.rejected', {
+            target: decided._id.toString()
+        });
+
+        const account = await LinkedAccount.findById(decided.accountId);
+        let outcome;
+        if (action === 'reject') {
+            await this.bot.answerCallbackQuery(query.id, { text: '❌ Rejected' });
+            outcome = `❌ Rejected by ${displayName(query.from)}`;
+        } else {
+            await this.bot.answerCallbackQuery(query.id, { text: '📤 Posting...' });
+            outcome = await this.publishSubmission(decided, workspace, account, query.from);
+        }
+
+        await this.bot.editMessageText(this.renderSubmission(decided, account, outcome), {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            reply_markup: { inline_keyboard: [] }
+        });
+    }
+
+    // Post an approved submission to its account. Returns the outcome line for the approval card.
+    async publishSubmission(submission, workspace, account, approver) {
+        const approvedBy = `Approved by ${displayName(approver)}`;
+        try {
+            // The account may have been unlinked from the workspace since the tweet was submitted
+            if (!account || !workspace.accountIds.some(id => id.equals(account._id))) {
+                throw new Error('The account is no longer linked to this workspace');
+            }
+            // Only an admin's own accounts may be posted to; the owner may have been demoted since
+            if (!hasRole(workspace, account.telegramId, 'admin')) {
+                throw new Error(`The owner of @${account.xHandle} is no longer a workspace admin`);
+            }
+
+            const { client: userClient, account: freshAccount } = await getAccountClient(account);
+            const { result } = await runOnce(`submission:${submission._id}`, async () => {
+                const tweet = await userClient.v2.tweet(submission.text);
+                return { tweetId: tweet.data.id };
+            });
+            if (!result?.tweetId) {
+                throw new Error('This tweet is already being posted');
             }
+
+            await Submission.updateOne({ _id: submission._id }, { status: 'posted', tweetId: result.tweetId });
+            await this.markAccountUsed(freshAccount);
+            await recordPostedTweet({ tweetId: result.tweetId, account: freshAccount, text: submission.text, source: 'workspace' });
+            await recordAudit(workspace, approver, 'submission.posted', {
+                target: submission._id.toString(),
+                details: { account: `@${freshAccount.xHandle}`, tweetId: result.tweetId }
+            });
+            return `✅ ${approvedBy} and posted as @${freshAccount.xHandle} (tweet ID ${result.tweetId})`;
+        } catch (error) {
+            console.error(`❌ Failed to publish submission ${submission._id}:`, error);
+            const reason = error instanceof TokenRefreshError
+                ? `The session for @${account.xHandle} has expired. Its owner can reconnect it with /connect.`
+                : error.message;
+            await Submission.updateOne({ _id: submission._id }, { status: 'failed', lastError: reason });
+            await recordAudit(workspace, approver, 'submission.failed', {
+                target: submission._id.toString(),
+                details: { error: reason }
+            });
+            return `⚠️ ${approvedBy}, but posting failed: ${reason}`;
         }
     }
 
-    async handleDisconnectCommand(msg) {
+    async handleAuditCommand(msg, limit) {
         const chatId = msg?.chat?.id;
         const telegramId = msg?.from?.id;
         
         if (!chatId || !telegramId) {
-            console.error('Invalid message format in handleDisconnectCommand:', msg);
+            console.error('Invalid message format in handleAuditCommand:', msg);
             return;
         }
         
         try {
-            this.logUserMessage(msg, '/disconnect');
+            this.logUserMessage(msg, '/audit');
 
-            // Ensure database connection
-            const dbConnected = await this.ensureDatabaseConnection();
-            if (!dbConnected) {
-                await this.bot.sendMessage(chatId, 
-                    `⚠️ *Database temporarily unavailable*\n\n` +
-                    `Unable to disconnect right now.\n` +
-                    `Please try again in a moment.\n\n` +
-                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
-                    { 
-                        parse_mode: 'Markdown',
-                        message_thread_id: msg.message_thread_id 
-                    }
-                );
+            const workspace = await this.loadWorkspace(msg);
+            if (!workspace) {
+                return;
+            }
+            if (!(await this.requireRole(msg, workspace, 'viewer', 'Only workspace members can see the audit log.'))) {
                 return;
             }
 
-            const user = await User.findOne({ telegramId });
-            
-            if (!user || !user.isConnected) {
-                await this.bot.sendMessage(chatId, '❌ You\'re not connected to Twitter.');
+            const entries = await recentAuditEntries(workspace, Math.min(Math.max(limit, 1), MAX_AUDIT_ENTRIES));
+            if (entries.length === 0) {
+                await this.bot.sendMessage(chatId, 
+                    '📜 Nothing recorded yet.',
+                    { message_thread_id: msg.message_thread_id }
+                );
                 return;
             }
 
-            await User.findByIdAndUpdate(user._id, { 
-                isConnected: false,
-                accessToken: null,
-                refreshToken: null,
-                tokenExpiresAt: null
+            const lines = entries.map(entry => {
+                const when = entry.createdAt.toISOString().slice(0, 16).replace('T', ' ');
+                const target = entry.target ? ` ${entry.target}` : '';
+                return `${when} ${entry.actorName || entry.actorId}: ${entry.action}${target}`;
             });
 
             await this.bot.sendMessage(chatId, 
-                `✅ *Disconnected from Twitter*\n\n` +
-                `You've been disconnected from @${user.xHandle}\n` +
-                `Use /connect to reconnect.`,
-                { parse_mode: 'Markdown' }
+                `📜 Audit log (latest first, UTC)\n\n${lines.join('\n')}`,
+                { message_thread_id: msg.message_thread_id }
             );
 
         } catch (error) {
-            console.error('Error handling /disconnect command:', error);
-            
-            // Check if error is database-related
-            if (error.name === 'MongooseError' || error.name === 'MongoServerSelectionError' || error.message?.includes('buffering timed out')) {
-                await this.bot.sendMessage(chatId, 
-                    `⚠️ *Database connection error*\n\n` +
-                    `Unable to disconnect right now.\n` +
-                    `Please try again in a moment.\n\n` +
-                    `If this persists, check your MongoDB Atlas IP whitelist settings.`,
-                    { 
-                        parse_mode: 'Markdown',
-                        message_thread_id: msg?.message_thread_id 
-                    }
-                );
-            } else {
-                await this.sendErrorMessage(chatId, 'Failed to disconnect. Please try again.', msg);
-            }
+            console.error('Error handling /audit command:', error);
+            await this.sendErrorMessage(chatId, 'Failed to load the audit log. Please try again.', msg);
         }
     }
 
@@ -918,24 +4075,25 @@ class TelegramBotHandler {
             const chatId = msg.chat.id;
             
             const helpMessage = `📚 *Twitter Bot with AI Tweet Generator Help*\n\n` +
-                             `*Commands:*\n` +
-                             `🔗 /connect - Start Twitter OAuth2 authentication\n` +
-                             `📝 /post <text> - Post tweet (max 280 chars)\n` +
-                             `📊 /state - Check Twitter connection status\n` +
-                             `🚫 /disconnect - Disconnect Twitter account\n\n` +
+                             `${this.commands.formatHelp()}\n\n` +
+                             `*Media:*\n` +
+                             `📷 In a private chat, send a photo, album (up to 4) or video with a caption to post it\n` +
+                             `   • Use /post as the caption to post media without text\n` +
+                             `   • Add a line \`alt: description\` to a caption for alt text\n\n` +
                              `*AI Tweet Generator:*\n` +
                              `💬 Send any long-form text to generate 3-4 tweets:\n` +
                              `   • Paste your article, blog post, or content\n` +
-                             `   • Or upload a \`.txt\` file (max 5MB)\n` +
+                             `   • Or upload a \`.txt\`, \`.md\`, \`.html\`, \`.pdf\` or \`.docx\` file (max 5MB)\n` +
+                             `   • Or send a link to an article (/style link on adds the link to each tweet)\n` +
                              `   • I'll analyze and create multiple tweet options\n` +
                              `   • Each tweet is optimized for Twitter (under 280 chars)\n` +
-                             `   • Copy any tweet and use /post to publish it\n\n` +
+                             `   • Use the buttons under each tweet to post, edit, shorten or regenerate it\n\n` +
                              `*How to use:*\n` +
                              `1. Use /connect to authorize Twitter\n` +
                              `2. Click the authorization link\n` +
-                             `3. Copy the URL from your browser and send it back\n` +
-                             `4. Send me your long-form text or upload a \`.txt\` file\n` +
-                             `5. Copy any generated tweet and use /post to publish\n` +
+                             `3. Authorize the bot - I'll confirm the connection here\n` +
+                             `4. Send me your long-form text or upload a document\n` +
+                             `5. Tap *Post this* under any generated tweet to publish it\n` +
                              `6. Check /state for connection info`;
 
             await this.bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
@@ -964,9 +4122,10 @@ class TelegramBotHandler {
     }
 
     async handleAIChat(msg) {
+        const chatId = msg?.chat?.id;
+        
         try {
             this.logUserMessage(msg, 'AI Tweet Generation');
-            const chatId = msg.chat.id;
             const message = msg.text;
             
             console.log('🤖 AI Tweet Generation request:', message);
@@ -974,61 +4133,504 @@ class TelegramBotHandler {
             // Send typing indicator
             await this.bot.sendChatAction(chatId, 'typing');
             
-            // Hard-coded pre-prompt for tweet generation
-            const tweetGenerationPrompt = `You are an expert social media content creator. Your task is to analyze the provided long-form text and create 3-4 engaging, suitable tweets.
-
-Guidelines for creating tweets:
-1. Each tweet must be concise (under 280 characters)
-2. Extract key ideas, insights, or highlights from the text
-3. Make each tweet engaging, clear, and valuable
-4. Use a conversational yet professional tone
-5. Each tweet should stand alone but complement the others
-6. Focus on different angles or aspects of the content
-7. Use emojis sparingly and appropriately
-8. Include relevant hashtags when appropriate (2-3 max per tweet)
-
-Format your response as follows:
-Tweet 1: [first tweet text]
-Tweet 2: [second tweet text]
-Tweet 3: [third tweet text]
-Tweet 4: [fourth tweet text - optional]
+            const sourceText = await this.condenseSource(msg, message);
+            const style = await this.getStyleProfile(msg.from?.id);
+            const candidates = await this.generateTweetCandidates(sourceText, style);
+            
+            if (candidates.length === 0) {
+                await this.bot.sendMessage(chatId, 'Sorry, I couldn\'t generate tweets.', { 
+                    message_thread_id: msg.message_thread_id 
+                });
+                return;
+            }
+            
+            await this.sendTweetCandidates(msg, sourceText, candidates);
+            
+        } catch (error) {
+            if (error instanceof TextTooLongError) {
+                await this.sendErrorMessage(chatId, error.message, msg);
+                return;
+            }
+            console.error('❌ AI Tweet Generation error:', error);
+            await this.sendErrorMessage(chatId, 'Sorry, I\'m having trouble generating tweets right now. Please try again later.', msg);
+        }
+    }
 
-If you can only create 3 high-quality tweets, that's acceptable. Always prioritize quality over quantity.`;
+    // Read the article behind a link and generate tweets from it
+    async handleArticleUrl(msg, url) {
+        const chatId = msg.chat.id;
+        
+        try {
+            this.logUserMessage(msg, 'Article URL');
             
-            // Call DeepSeek API
-            const response = await this.deepseek.chat.completions.create({
-                model: 'deepseek-chat',
-                messages: [
-                    {
-                        role: 'system',
-                        content: tweetGenerationPrompt
-                    },
-                    {
-                        role: 'user',
-                        content: `Please analyze this long-form text and create 3-4 suitable tweets:\n\n${message}`
-                    }
-                ],
-                max_tokens: 800,
-                temperature: 0.7
-            });
+            await this.bot.sendChatAction(chatId, 'typing');
+            
+            let article;
+            try {
+                article = await fetchArticle(url);
+            } catch (error) {
+                if (!(error instanceof ArticleFetchError)) {
+                    throw error;
+                }
+                console.warn('⚠️ Could not read article:', url, error.message);
+                await this.sendErrorMessage(chatId, error.message, msg);
+                return;
+            }
+            
+            console.log(`📰 Extracted ${article.text.length} characters from ${article.url}`);
+            
+            await this.bot.sendMessage(chatId, 
+                `📰 Read "${article.title || article.url}" (${article.text.length} characters). Generating tweets...`,
+                { 
+                    disable_web_page_preview: true,
+                    message_thread_id: msg.message_thread_id 
+                }
+            );
             
-            const aiResponse = response.choices[0]?.message?.content || 'Sorry, I couldn\'t generate tweets.';
+            const sourceText = await this.condenseSource(msg, article.title ? `${article.title}\n\n${article.text}` : article.text);
+            const style = await this.getStyleProfile(msg.from?.id);
+            const sourceUrl = style?.appendLink ? url : null;
+            const candidates = await this.generateTweetCandidates(sourceText, style, { sourceUrl });
             
-            console.log('🤖 AI Response:', aiResponse);
+            if (candidates.length === 0) {
+                await this.bot.sendMessage(chatId, 'Sorry, I couldn\'t generate tweets.', { 
+                    message_thread_id: msg.message_thread_id 
+                });
+                return;
+            }
             
-            // Format the response for better readability
-            const formattedResponse = `🐦 *Generated Tweets*\n\n${aiResponse}\n\n💡 *Tip:* You can copy any tweet and use /post to publish it!`;
+            await this.sendTweetCandidates(msg, sourceText, candidates, { sourceUrl });
             
-            // Send the AI response
-            await this.bot.sendMessage(chatId, formattedResponse, { 
+        } catch (error) {
+            if (error instanceof TextTooLongError) {
+                await this.sendErrorMessage(chatId, error.message, msg);
+                return;
+            }
+            console.error('❌ Article tweet generation error:', error);
+            await this.sendErrorMessage(chatId, 'Sorry, I\'m having trouble generating tweets from that link right now. Please try again later.', msg);
+        }
+    }
+
+    // Summarise long input part by part so tweets cover all of it, not just the beginning.
+    // Short input is returned unchanged.
+    async condenseSource(msg, sourceText) {
+        const { text, chunkCount } = await condenseText(sourceText, (chunk, info) => this.summarizeChunk(chunk, info), {
+            onStart: chunkCount => this.bot.sendMessage(msg.chat.id, 
+                `📚 That's a long text, so I'm summarising it in ${chunkCount} parts before writing tweets...`,
+                { message_thread_id: msg.message_thread_id }
+            )
+        });
+        
+        if (chunkCount > 0) {
+            console.log(`📚 Condensed ${sourceText.length} characters from ${chunkCount} chunks into ${text.length}`);
+        }
+        return text;
+    }
+
+    async summarizeChunk(chunk, { index, total }) {
+        return this.completeChat({
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You condense long documents for a social media writer. Summarise the given part of a longer text. ' +
+                        'Keep the key ideas, facts, figures, names and memorable quotes worth tweeting about. ' +
+                        'Reply with plain prose or short bullet points, without any preamble.'
+                },
+                {
+                    role: 'user',
+                    content: `Part ${index + 1} of ${total}:\n\n${chunk}`
+                }
+            ],
+            maxTokens: 500,
+            temperature: 0.3
+        });
+    }
+
+    // Send a chat completion to the configured AI provider and return the response text
+    async completeChat(request) {
+        if (!this.llm) {
+            throw new Error('No AI provider configured');
+        }
+        return this.llm.complete(request);
+    }
+
+    // The user's /style settings and trained voice, or null (defaults) if none are stored or the database is down
+    async getStyleProfile(telegramId) {
+        if (!telegramId || !(await this.ensureDatabaseConnection())) {
+            return null;
+        }
+        try {
+            const user = await User.findOne({ telegramId });
+            if (!user) {
+                return null;
+            }
+            const { style, voiceProfile } = user.toObject();
+            return { ...style, voice: voiceProfile || null };
+        } catch (error) {
+            console.error('❌ Failed to load style profile:', error.message);
+            return null;
+        }
+    }
+
+    // Ask the AI for 3-4 tweets about the source text and return them as validated TweetCandidates
+    // With `sourceUrl`, room is left for the link, which is appended to every candidate.
+    async generateTweetCandidates(sourceText, style = null, { sourceUrl = null } = {}) {
+        const maxLength = this.getCandidateMaxLength(sourceUrl);
+        const guidelines = [
+            `Each tweet must be concise (under ${maxLength} characters)`,
+            'Extract key ideas, insights, or highlights from the text',
+            'Make each tweet engaging, clear, and valuable',
+            ...buildStyleGuidelines(style),
+            'Each tweet should stand alone but complement the others',
+            'Focus on different angles or aspects of the content'
+        ];
+        const styleContext = buildStyleContext(style);
+
+        const tweetGenerationPrompt = `You are an expert social media content creator. Your task is to analyze the provided long-form text and create 3-4 engaging, suitable tweets.
+
+Guidelines for creating tweets:
+${guidelines.map((line, index) => `${index + 1}. ${line}`).join('\n')}
+${styleContext ? `\n${styleContext}\n` : ''}
+Respond with JSON only, in exactly this format:
+{"tweets": ["first tweet text", "second tweet text", "third tweet text", "fourth tweet text - optional"]}
+
+If you can only create 3 high-quality tweets, that's acceptable. Always prioritize quality over quantity.`;
+        
+        const aiResponse = await this.completeChat({
+            messages: [
+                {
+                    role: 'system',
+                    content: tweetGenerationPrompt
+                },
+                {
+                    role: 'user',
+                    content: `Please analyze this long-form text and create 3-4 suitable tweets:\n\n${sourceText}`
+                }
+            ],
+            json: true
+        });
+        
+        console.log('🤖 AI Response:', aiResponse);
+        
+        const candidates = [];
+        for (const text of parseCandidateResponse(aiResponse)) {
+            candidates.push(this.attachSourceLink(await this.fitCandidate(text, sourceText, style, maxLength), sourceUrl));
+        }
+        return candidates;
+    }
+
+    // Links count as TRANSFORMED_URL_LENGTH on X, plus the blank line before them
+    getCandidateMaxLength(sourceUrl) {
+        return sourceUrl ? MAX_TWEET_LENGTH - TRANSFORMED_URL_LENGTH - 2 : MAX_TWEET_LENGTH;
+    }
+
+    attachSourceLink(candidate, sourceUrl) {
+        if (!sourceUrl) {
+            return candidate;
+        }
+        return toCandidate(`${candidate.text}\n\n${sourceUrl}`, { trimmed: candidate.trimmed });
+    }
+
+    // Make sure a generated tweet fits: ask the AI to shorten it once, then trim as a last resort
+    async fitCandidate(text, sourceText, style = null, maxLength = MAX_TWEET_LENGTH) {
+        if (isWithinLimit(text, maxLength)) {
+            return toCandidate(text);
+        }
+        
+        console.warn(`⚠️ Generated tweet is ${measureTweet(text)} characters, asking for a shorter version`);
+        
+        let shortened = text;
+        try {
+            shortened = await this.rewriteTweet(text, 'shorten', sourceText, style);
+        } catch (error) {
+            console.error('❌ Failed to shorten generated tweet:', error);
+        }
+        
+        if (isWithinLimit(shortened, maxLength)) {
+            return toCandidate(shortened);
+        }
+        return toCandidate(trimToLength(shortened, maxLength), { trimmed: true });
+    }
+
+    // Ask the AI for a single replacement tweet: a shorter version or a fresh alternative
+    async rewriteTweet(tweetText, mode, sourceText, style = null) {
+        const instruction = mode === 'shorten'
+            ? `Shorten this tweet so it is noticeably more concise (well under 280 characters) while keeping its meaning and tone:\n\n${tweetText}`
+            : `Write one new tweet (under 280 characters) about the source text below. Take a different angle from this existing tweet:\n\n${tweetText}\n\nSource text:\n\n${sourceText}`;
+
+        const response = await this.completeChat({
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You are an expert social media content creator. Reply with the tweet text only, without quotes, numbering or commentary.\n\n' +
+                        buildStyleInstructions(style)
+                },
+                {
+                    role: 'user',
+                    content: instruction
+                }
+            ],
+            maxTokens: 300,
+            temperature: mode === 'shorten' ? 0.3 : 0.9
+        });
+
+        const [text] = parseCandidateResponse(response);
+
+        if (!text) {
+            throw new Error('AI returned an empty tweet');
+        }
+        return text;
+    }
+
+    renderCandidate(index, text) {
+        return `🐦 Tweet ${index + 1} (${measureTweet(text)} chars)\n\n${text}`;
+    }
+
+    buildCandidateKeyboard(generationId, index) {
+        const ref = `${generationId}:${index}`;
+        return {
+            inline_keyboard: [
+                [{ text: '✅ Post this', callback_data: `post:${ref}` }],
+                [
+                    { text: '✏️ Edit', callback_data: `edit:${ref}` },
+                    { text: '✂️ Shorten', callback_data: `short:${ref}` },
+                    { text: '🔄 Regenerate', callback_data: `regen:${ref}` }
+                ]
+            ]
+        };
+    }
+
+    // Store the candidates and send each one with Post / Edit / Shorten / Regenerate buttons
+    async sendTweetCandidates(msg, sourceText, candidates, { sourceUrl = null } = {}) {
+        const chatId = msg.chat.id;
+        
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            // Without storage the buttons cannot work, so fall back to plain text
+            const numbered = candidates.map((candidate, index) => `Tweet ${index + 1}: ${candidate.text}`).join('\n\n');
+            await this.bot.sendMessage(chatId, 
+                `🐦 Generated Tweets\n\n${numbered}\n\n💡 Tip: You can copy any tweet and use /post to publish it!`,
+                { message_thread_id: msg.message_thread_id }
+            );
+            return;
+        }
+        
+        const generation = await Generation.create({
+            telegramId: msg.from.id,
+            chatId,
+            messageThreadId: msg.message_thread_id,
+            sourceText,
+            sourceUrl,
+            candidates: candidates.map(candidate => ({ text: candidate.text }))
+        });
+        
+        await this.bot.sendMessage(chatId, 
+            `🐦 *Generated Tweets*\n\nTap a button under any tweet to post, edit, shorten or regenerate it.`,
+            { 
                 parse_mode: 'Markdown',
                 message_thread_id: msg.message_thread_id 
+            }
+        );
+        
+        const update = {};
+        for (let index = 0; index < candidates.length; index++) {
+            const sent = await this.bot.sendMessage(chatId, this.renderCandidate(index, candidates[index].text), {
+                reply_markup: this.buildCandidateKeyboard(generation._id, index),
+                message_thread_id: msg.message_thread_id
+            });
+            update[`candidates.${index}.messageId`] = sent.message_id;
+        }
+        
+        await Generation.updateOne({ _id: generation._id }, { $set: update });
+        
+        // Keep every candidate as a draft so it can be posted later
+        await Draft.insertMany(candidates.map((candidate, index) => ({
+            telegramId: msg.from.id,
+            text: candidate.text,
+            sourceText,
+            origin: 'ai',
+            generationId: generation._id,
+            candidateIndex: index
+        })));
+    }
+
+    // Replace a stored candidate and refresh the message that shows it
+    async updateCandidate(generation, index, text) {
+        await Generation.updateOne(
+            { _id: generation._id },
+            { $set: { [`candidates.${index}.text`]: text } }
+        );
+        await Draft.updateOne(
+            { generationId: generation._id, candidateIndex: index },
+            { text, updatedAt: new Date() }
+        );
+        
+        const messageId = generation.candidates[index].messageId;
+        const rendered = this.renderCandidate(index, text);
+        const reply_markup = this.buildCandidateKeyboard(generation._id, index);
+        
+        if (messageId) {
+            await this.bot.editMessageText(rendered, {
+                chat_id: generation.chatId,
+                message_id: messageId,
+                reply_markup
+            });
+        } else {
+            await this.bot.sendMessage(generation.chatId, rendered, {
+                reply_markup,
+                message_thread_id: generation.messageThreadId
             });
+        }
+    }
+
+    async handleCallbackQuery(query) {
+        const chatId = query?.message?.chat?.id;
+        
+        if (!chatId || !query.from?.id) {
+            console.error('Invalid callback query format:', query);
+            return;
+        }
+        
+        try {
+            console.log('🔘 Callback query:', query.data, 'from', query.from.id);
+            
+            const [action, ...args] = (query.data || '').split(':');
             
+            switch (action) {
+                case 'post':
+                case 'edit':
+                case 'short':
+                case 'regen':
+                    await this.handleCandidateAction(query, action, args[0], parseInt(args[1], 10));
+                    break;
+                case 'drafts':
+                    await this.handleDraftsPageCallback(query, parseInt(args[0], 10), parseInt(args[1], 10));
+                    break;
+                case 'undo':
+                    await this.handleUndoCallback(query, args[0]);
+                    break;
+                case 'confirmpost':
+                case 'cancelpost':
+                    await this.handlePostPreviewCallback(query, action, args[0], parseInt(args[1], 10) || null);
+                    break;
+                case 'approve':
+                case 'reject':
+                    await this.handleSubmissionDecision(query, action, args[0]);
+                    break;
+                default:
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Unknown action' });
+            }
         } catch (error) {
-            console.error('❌ AI Tweet Generation error:', error);
-            await this.sendErrorMessage(chatId, 'Sorry, I\'m having trouble generating tweets right now. Please try again later.', msg);
+            console.error('Error handling callback query:', error);
+            try {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ Something went wrong. Please try again.' });
+            } catch (answerError) {
+                // The query may already have been answered
+                await this.sendErrorMessage(chatId, 'Something went wrong. Please try again.', query.message);
+            }
+        }
+    }
+
+    async handleCandidateAction(query, action, generationId, index) {
+        const chatId = query.message.chat.id;
+        
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            await this.bot.answerCallbackQuery(query.id, { text: '⚠️ Database temporarily unavailable. Please try again in a moment.', show_alert: true });
+            return;
+        }
+        
+        const generation = mongoose.isValidObjectId(generationId) ? await Generation.findById(generationId) : null;
+        const candidate = generation?.candidates?.[index];
+        
+        if (!candidate) {
+            await this.bot.answerCallbackQuery(query.id, { text: 'This tweet has expired. Send your text again to generate new ones.', show_alert: true });
+            return;
+        }
+        
+        if (generation.telegramId !== query.from.id) {
+            await this.bot.answerCallbackQuery(query.id, { text: 'Only the person who generated these tweets can use these buttons.', show_alert: true });
+            return;
+        }
+        
+        // Message-like object so the regular command handlers can be reused.
+        // The same candidate text can only be posted once, even if the button is tapped twice.
+        const msgLike = {
+            ...query.message,
+            from: query.from,
+            text: candidate.text,
+            _idempotencyKey: `candidate:${generation._id}:${index}:${fingerprint(candidate.text)}`
+        };
+        
+        if (action === 'post') {
+            await this.bot.answerCallbackQuery(query.id, { text: '📤 Posting...' });
+            await this.handlePostCommand(msgLike, candidate.text, { preview: true, source: 'ai' });
+        } else if (action === 'edit') {
+            await this.bot.answerCallbackQuery(query.id);
+            const prompt = await this.bot.sendMessage(chatId, 
+                `✏️ Reply to this message with your edited version of Tweet ${index + 1}:\n\n${candidate.text}`,
+                {
+                    reply_markup: { force_reply: true, selective: true },
+                    message_thread_id: query.message.message_thread_id
+                }
+            );
+            await Generation.updateOne(
+                { _id: generation._id },
+                { $push: { pendingEdits: { promptMessageId: prompt.message_id, index } } }
+            );
+        } else {
+            await this.bot.answerCallbackQuery(query.id, { text: action === 'short' ? '✂️ Shortening...' : '🔄 Regenerating...' });
+            await this.bot.sendChatAction(chatId, 'typing');
+            const style = await this.getStyleProfile(query.from.id);
+            const { sourceUrl } = generation;
+            // Rewrite the tweet without its source link and put the link back afterwards
+            const linkSuffix = sourceUrl ? `\n\n${sourceUrl}` : null;
+            const baseText = linkSuffix && candidate.text.endsWith(linkSuffix)
+                ? candidate.text.slice(0, -linkSuffix.length)
+                : candidate.text;
+            const text = await this.rewriteTweet(baseText, action === 'short' ? 'shorten' : 'regenerate', generation.sourceText, style);
+            const fitted = await this.fitCandidate(text, generation.sourceText, style, this.getCandidateMaxLength(sourceUrl));
+            await this.updateCandidate(generation, index, this.attachSourceLink(fitted, sourceUrl).text);
+        }
+    }
+
+    // Handle a reply to an "Edit" prompt. Returns false if the message is not such a reply.
+    async handleCandidateEditReply(msg) {
+        const promptMessageId = msg.reply_to_message?.message_id;
+        if (!promptMessageId) {
+            return false;
+        }
+        
+        const dbConnected = await this.ensureDatabaseConnection();
+        if (!dbConnected) {
+            return false;
         }
+        
+        const generation = await Generation.findOne({
+            chatId: msg.chat.id,
+            'pendingEdits.promptMessageId': promptMessageId
+        });
+        
+        if (!generation || generation.telegramId !== msg.from.id) {
+            return false;
+        }
+        
+        this.logUserMessage(msg, 'Tweet edit');
+        
+        const { index } = generation.pendingEdits.find(edit => edit.promptMessageId === promptMessageId);
+        const text = msg.text.trim();
+        
+        await Generation.updateOne(
+            { _id: generation._id },
+            { $pull: { pendingEdits: { promptMessageId } } }
+        );
+        await this.updateCandidate(generation, index, text);
+        
+        await this.bot.sendMessage(msg.chat.id, 
+            `✅ Tweet ${index + 1} updated. Use the buttons under it to post it.`,
+            { message_thread_id: msg.message_thread_id }
+        );
+        return true;
     }
 
     async handleUnknownCommand(msg) {
@@ -1067,6 +4669,33 @@ If you can only create 3 high-quality tweets, that's acceptable. Always prioriti
         }
     }
 
+    // Short, user-facing form of a Mongo ObjectId
+    shortId(id) {
+        return id.toString().slice(-SHORT_ID_LENGTH);
+    }
+
+    /**
+     * Find a document by its full ID or the short ID shown to users, limited to documents matching `filter`.
+     * Returns null if there is none; throws AmbiguousIdError if the short ID matches several.
+     */
+    async findByShortId(Model, filter, id) {
+        const normalized = (id || '').trim().toLowerCase();
+        if (/^[0-9a-f]{24}$/.test(normalized)) {
+            return Model.findOne({ ...filter, _id: normalized });
+        }
+        if (!new RegExp(`^[0-9a-f]{${SHORT_ID_LENGTH}}$`).test(normalized)) {
+            return null;
+        }
+        const matches = await Model.find({
+            ...filter,
+            $expr: { $eq: [{ $substrCP: [{ $toString: '$_id' }, 24 - SHORT_ID_LENGTH, SHORT_ID_LENGTH] }, normalized] }
+        }).limit(2);
+        if (matches.length > 1) {
+            throw new AmbiguousIdError(`The ID ${normalized} is ambiguous: it matches more than one item. Please use the full ID.`);
+        }
+        return matches[0] || null;
+    }
+
     logUserMessage(msg, command) {
         const user = msg.from;
         const chat = msg.chat;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One recorded decision or change in a workspace. Entries are only ever added.
+const auditLogSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  actorId: {
+    type: Number,
+    required: true
+  },
+  actorName: {
+    type: String,
+    required: false
+  },
+  // e.g. workspace.created, role.changed, account.linked, submission.approved
+  action: {
+    type: String,
+    required: true
+  },
+  // Submission id, member id or account handle the action applies to
+  target: {
+    type: String,
+    required: false
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ workspaceId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema, 'botAuditLogs');
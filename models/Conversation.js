@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A question the bot asked a user in a chat, so their next plain-text reply goes to the right step
+const conversationSchema = new mongoose.Schema({
+  chatId: {
+    type: Number,
+    required: true
+  },
+  telegramId: {
+    type: Number,
+    required: true
+  },
+  // Which multi-step flow is running, e.g. "connect" or "editdraft"
+  flow: {
+    type: String,
+    required: true
+  },
+  step: {
+    type: String,
+    required: true
+  },
+  // Whatever the flow needs to remember between steps
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Replies after this are handled normally; MongoDB removes the document shortly after
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One conversation per user per chat
+conversationSchema.index({ chatId: 1, telegramId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema, 'botConversations');
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const draftSchema = new mongoose.Schema({
+  telegramId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // The long-form text the draft was generated from (empty for manual drafts)
+  sourceText: {
+    type: String,
+    required: false
+  },
+  origin: {
+    type: String,
+    enum: ['ai', 'manual'],
+    default: 'manual'
+  },
+  // Links an AI draft to the generated candidate it was saved from
+  generationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  candidateIndex: {
+    type: Number,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+draftSchema.index({ generationId: 1, candidateIndex: 1 });
+
+// Update updatedAt on save
+draftSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Draft', draftSchema, 'botDrafts');
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const candidateSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  // Telegram message showing this candidate with its inline keyboard
+  messageId: {
+    type: Number,
+    required: false
+  }
+}, { _id: false });
+
+const generationSchema = new mongoose.Schema({
+  telegramId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  chatId: {
+    type: Number,
+    required: true
+  },
+  messageThreadId: {
+    type: Number,
+    required: false
+  },
+  // The text the candidates were generated from
+  sourceText: {
+    type: String,
+    required: true
+  },
+  // Article link appended to each candidate, for tweets generated from a URL
+  sourceUrl: {
+    type: String,
+    required: false
+  },
+  candidates: {
+    type: [candidateSchema],
+    default: []
+  },
+  // "Edit" prompts waiting for the user's reply
+  pendingEdits: [{
+    promptMessageId: Number,
+    index: Number
+  }],
+  // Generated candidates are only actionable for a week
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 7 * 24 * 60 * 60
+  }
+});
+
+generationSchema.index({ chatId: 1, 'pendingEdits.promptMessageId': 1 });
+
+module.exports = mongoose.model('Generation', generationSchema, 'botGenerations');
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One document per publishing operation, so a retried operation never posts twice
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  // What the first run returned, e.g. { tweetId }
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60
+  }
+});
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema, 'botIdempotencyKeys');
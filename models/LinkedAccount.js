@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { encryptToken, decryptToken } = require('../utils/tokenCrypto');
+
+// An X account linked to a Telegram user. A user can link several and picks one with /use.
+const linkedAccountSchema = new mongoose.Schema({
+  telegramId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  // Lowercase, without the @
+  xHandle: {
+    type: String,
+    required: true
+  },
+  // Stable X user id; handles can change. Missing on accounts migrated from the old single-account fields.
+  xUserId: {
+    type: String,
+    required: false
+  },
+  // Twitter OAuth tokens, encrypted at rest and decrypted on read
+  accessToken: {
+    type: String,
+    required: false,
+    set: encryptToken,
+    get: decryptToken
+  },
+  refreshToken: {
+    type: String,
+    required: false,
+    set: encryptToken,
+    get: decryptToken
+  },
+  // Incremented whenever the tokens change; encrypted values cannot be compared directly
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  tokenExpiresAt: {
+    type: Date,
+    required: false
+  },
+  // Short lease held while one invocation refreshes the tokens
+  tokenRefreshLockUntil: {
+    type: Date,
+    required: false
+  },
+  // False once X rejects the refresh token; /connect with the same account fixes it
+  isConnected: {
+    type: Boolean,
+    default: true
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    required: false
+  }
+});
+
+linkedAccountSchema.index({ telegramId: 1, xHandle: 1 }, { unique: true });
+
+module.exports = mongoose.model('LinkedAccount', linkedAccountSchema, 'botLinkedAccounts');
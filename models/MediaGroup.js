@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const mediaItemSchema = new mongoose.Schema({
+  kind: String,
+  fileId: String,
+  fileSize: Number,
+  mimeType: String,
+  duration: Number,
+  altText: String,
+  // Telegram message id, used to keep the album order
+  messageId: Number
+}, { _id: false });
+
+// Telegram delivers each album item as a separate update; items are collected
+// here until no new item has arrived for a moment, then posted as one tweet.
+const mediaGroupSchema = new mongoose.Schema({
+  mediaGroupId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  telegramId: {
+    type: Number,
+    required: true
+  },
+  chatId: {
+    type: Number,
+    required: true
+  },
+  messageThreadId: {
+    type: Number,
+    required: false
+  },
+  caption: {
+    type: String,
+    required: false
+  },
+  // Set once an item's caption asks for the album to be posted; otherwise the album is ignored
+  postRequested: {
+    type: Boolean,
+    default: false
+  },
+  items: {
+    type: [mediaItemSchema],
+    default: []
+  },
+  lastItemAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['collecting', 'posting', 'done'],
+    default: 'collecting'
+  },
+  // Albums only need to live long enough to be posted
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60
+  }
+});
+
+module.exports = mongoose.model('MediaGroup', mediaGroupSchema, 'botMediaGroups');
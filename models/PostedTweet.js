@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A tweet the bot published, so it can be listed, undone or deleted later
+const postedTweetSchema = new mongoose.Schema({
+  tweetId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Owner of the account it was posted from
+  telegramId: {
+    type: Number,
+    required: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LinkedAccount',
+    required: false
+  },
+  // Kept so history still reads well after the account is unlinked
+  xHandle: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: false
+  },
+  // How it was posted: /post or media, a generated tweet, the schedule, a thread, or a workspace approval
+  source: {
+    type: String,
+    enum: ['manual', 'ai', 'scheduled', 'thread', 'workspace'],
+    default: 'manual'
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the tweet is deleted through /delete or the Undo button
+  deletedAt: {
+    type: Date,
+    required: false
+  }
+});
+
+postedTweetSchema.index({ telegramId: 1, postedAt: -1 });
+
+module.exports = mongoose.model('PostedTweet', postedTweetSchema, 'botPostedTweets');
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Telegram update_ids that have been received, so redelivered updates are skipped
+const processedUpdateSchema = new mongoose.Schema({
+  updateId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'done'],
+    default: 'processing'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Telegram keeps undelivered updates for 24 hours, so two days is plenty
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 2 * 24 * 60 * 60
+  }
+});
+
+module.exports = mongoose.model('ProcessedUpdate', processedUpdateSchema, 'botProcessedUpdates');
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const scheduledPostSchema = new mongoose.Schema({
+  telegramId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  chatId: {
+    type: Number,
+    required: true
+  },
+  messageThreadId: {
+    type: Number,
+    required: false
+  },
+  // Linked account the post goes to; missing on posts created before multi-account support
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LinkedAccount',
+    required: false
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  // pending -> processing -> posted | failed, or pending -> cancelled
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'posted', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Set when a dispatcher claims the post, so overlapping runs skip it
+  claimedAt: {
+    type: Date,
+    required: false
+  },
+  tweetId: {
+    type: String,
+    required: false
+  },
+  lastError: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The dispatcher looks up due posts by status and time
+scheduledPostSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('ScheduledPost', scheduledPostSchema, 'botScheduledPosts');
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A tweet proposed in a workspace, waiting for an admin to approve or reject it
+const submissionSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  chatId: {
+    type: Number,
+    required: true
+  },
+  messageThreadId: {
+    type: Number,
+    required: false
+  },
+  authorId: {
+    type: Number,
+    required: true
+  },
+  authorName: {
+    type: String,
+    required: false
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LinkedAccount',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // pending -> approved -> posted | failed, or pending -> rejected
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'posted', 'failed'],
+    default: 'pending'
+  },
+  // Message with the Approve/Reject buttons
+  approvalMessageId: {
+    type: Number,
+    required: false
+  },
+  decidedBy: {
+    type: Number,
+    required: false
+  },
+  decidedAt: {
+    type: Date,
+    required: false
+  },
+  tweetId: {
+    type: String,
+    required: false
+  },
+  lastError: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Submission', submissionSchema, 'botSubmissions');
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const threadSchema = new mongoose.Schema({
+  telegramId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  chatId: {
+    type: Number,
+    required: true
+  },
+  // Linked account the post goes to; missing on posts created before multi-account support
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LinkedAccount',
+    required: false
+  },
+  // Thread parts in posting order, already numbered
+  parts: {
+    type: [String],
+    required: true
+  },
+  // IDs of the parts that have been posted so far, in the same order as parts
+  tweetIds: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['posting', 'failed', 'completed'],
+    default: 'posting'
+  },
+  lastError: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update updatedAt on save
+threadSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Thread', threadSchema, 'botThreads');
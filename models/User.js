@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { encryptToken, decryptToken } = require('../utils/tokenCrypto');
 
 const userSchema = new mongoose.Schema({
   telegramId: { 
@@ -10,23 +11,70 @@ const userSchema = new mongoose.Schema({
     type: String, 
     required: false 
   },
+  // X accounts live in LinkedAccount; this is the one new posts go to
+  activeAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LinkedAccount',
+    required: false
+  },
+  // Legacy single-account fields. Tokens are moved to a LinkedAccount the first time
+  // the user's accounts are loaded (see utils/accounts.js), then removed from here.
   xHandle: { 
     type: String, 
     required: false 
   },
-  // Twitter OAuth tokens
   accessToken: {
     type: String,
-    required: false
+    required: false,
+    set: encryptToken,
+    get: decryptToken
   },
   refreshToken: {
     type: String,
-    required: false
+    required: false,
+    set: encryptToken,
+    get: decryptToken
   },
   tokenExpiresAt: {
     type: Date,
     required: false
   },
+  // IANA timezone used to interpret /schedule times
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Tone and style preferences folded into the tweet generation prompt
+  style: {
+    tone: String,
+    emoji: {
+      type: String,
+      enum: ['none', 'few', 'many']
+    },
+    hashtags: {
+      type: String,
+      enum: ['none', 'few', 'many']
+    },
+    language: String,
+    bannedWords: [String],
+    examples: [String],
+    // Append the article link to tweets generated from a URL
+    appendLink: Boolean
+  },
+  // Opt-in summary of how the user writes, built by /trainvoice from their recent tweets
+  voiceProfile: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  },
+  voiceTrainedAt: {
+    type: Date,
+    required: false
+  },
+  // Show a preview with Confirm/Cancel buttons before /post publishes anything
+  confirmPosts: {
+    type: Boolean,
+    default: false
+  },
   // Bot session info
   isConnected: {
     type: Boolean,
@@ -43,7 +91,10 @@ const userSchema = new mongoose.Schema({
   // OAuth session data
   oauth: {
     codeVerifier: String,
-    state: String
+    state: String,
+    // Where to confirm the connection once the callback route completes it
+    chatId: Number,
+    messageThreadId: Number
   }
 });
 
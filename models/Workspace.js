@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  telegramId: {
+    type: Number,
+    required: true
+  },
+  // Telegram username at the time the role was given, for display and /role @username
+  username: {
+    type: String,
+    required: false
+  },
+  // admin: link accounts, manage roles, approve; editor: submit tweets; viewer: read the queue and audit log
+  role: {
+    type: String,
+    enum: ['admin', 'editor', 'viewer'],
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A Telegram group whose members post to shared X accounts through an approval step
+const workspaceSchema = new mongoose.Schema({
+  chatId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: false
+  },
+  createdBy: {
+    type: Number,
+    required: true
+  },
+  // Linked accounts of workspace admins that approved tweets are published to
+  accountIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LinkedAccount'
+  }],
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Workspace', workspaceSchema, 'botWorkspaces');
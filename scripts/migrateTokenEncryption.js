@@ -0,0 +1,85 @@
+// Encrypts plaintext OAuth tokens and re-encrypts tokens written with an old key.
+//
+// One-time migration:   node scripts/migrateTokenEncryption.js
+// Key rotation:         set TOKEN_ENCRYPTION_KEY to the new key, put the old key in
+//                       TOKEN_ENCRYPTION_PREVIOUS_KEYS, then run this script again.
+// Add --dry-run to only report what would change.
+const database = require('../config/database');
+const User = require('../models/User');
+const LinkedAccount = require('../models/LinkedAccount');
+const { encrypt, decrypt, isEncrypted, needsReencryption } = require('../utils/tokenCrypto');
+require('dotenv').config();
+
+const TOKEN_FIELDS = ['accessToken', 'refreshToken'];
+
+// Users hold tokens not yet moved to a linked account; linked accounts hold the rest
+const MODELS = [User, LinkedAccount];
+
+async function migrateModel(Model, { dryRun }, stats) {
+    // Read raw documents so the model's getters do not decrypt the values
+    const cursor = Model.collection.find({
+        $or: TOKEN_FIELDS.map(field => ({ [field]: { $type: 'string' } }))
+    });
+
+    for await (const doc of cursor) {
+        stats.scanned++;
+
+        const update = {};
+        TOKEN_FIELDS.forEach(field => {
+            const value = doc[field];
+            if (needsReencryption(value)) {
+                const plaintext = isEncrypted(value) ? decrypt(value) : value;
+                update[field] = encrypt(plaintext);
+            }
+        });
+
+        if (Object.keys(update).length === 0) {
+            continue;
+        }
+
+        if (dryRun) {
+            stats.updated++;
+            continue;
+        }
+
+        // Only write if the tokens were not refreshed while we were working
+        const filter = { _id: doc._id };
+        TOKEN_FIELDS.forEach(field => {
+            filter[field] = doc[field];
+        });
+
+        const result = await Model.collection.updateOne(filter, { $set: update });
+        if (result.modifiedCount === 1) {
+            stats.updated++;
+        } else {
+            stats.skipped++;
+        }
+    }
+}
+
+async function migrate({ dryRun }) {
+    await database.connect();
+
+    const stats = { scanned: 0, updated: 0, skipped: 0 };
+    for (const Model of MODELS) {
+        await migrateModel(Model, { dryRun }, stats);
+    }
+    return stats;
+}
+
+const dryRun = process.argv.includes('--dry-run');
+
+migrate({ dryRun })
+    .then(async (stats) => {
+        console.log(`✅ Token encryption ${dryRun ? 'dry run' : 'migration'} complete:`, stats);
+        if (stats.skipped > 0) {
+            console.log('⚠️ Some accounts changed during the run; run the script again to cover them.');
+        }
+        await database.disconnect();
+        process.exit(0);
+    })
+    .catch(async (error) => {
+        console.error('❌ Token encryption migration failed:', error);
+        await database.disconnect();
+        process.exit(1);
+    });
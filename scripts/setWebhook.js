@@ -0,0 +1,49 @@
+// Registers the bot's webhook with Telegram, including the secret token that
+// POST /webhook requires on every update, and publishes the command menu.
+//
+// Usage: node scripts/setWebhook.js [https://your-app.vercel.app/webhook]
+// Without an argument the URL is taken from WEBHOOK_URL.
+const TelegramBot = require('node-telegram-bot-api');
+const TelegramBotHandler = require('../bot/TelegramBotHandler');
+const { getWebhookSecret } = require('../utils/webhookSecret');
+require('dotenv').config();
+
+async function setWebhook() {
+    const url = process.argv[2] || process.env.WEBHOOK_URL;
+
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+        throw new Error('TELEGRAM_BOT_TOKEN environment variable is required');
+    }
+    if (!url || !url.startsWith('https://')) {
+        throw new Error('Pass the https:// webhook URL as an argument or set WEBHOOK_URL');
+    }
+
+    const secret = getWebhookSecret();
+    if (!secret) {
+        throw new Error('TELEGRAM_WEBHOOK_SECRET environment variable is required');
+    }
+
+    const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
+    await bot.setWebHook(url, {
+        secret_token: secret,
+        allowed_updates: JSON.stringify(['message', 'callback_query'])
+    });
+
+    const info = await bot.getWebHookInfo();
+    console.log('✅ Webhook registered:', {
+        url: info.url,
+        pending_update_count: info.pending_update_count,
+        allowed_updates: info.allowed_updates
+    });
+
+    // The menu is generated from the command registry, so run this again after commands change
+    await new TelegramBotHandler().registerCommandMenu(bot);
+    console.log('✅ Command menu registered');
+}
+
+setWebhook()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Failed to register webhook:', error.message);
+        process.exit(1);
+    });
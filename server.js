@@ -2,6 +2,7 @@ const express = require('express');
 const TelegramBotHandler = require('./bot/TelegramBotHandler');
 const { loadTemplate } = require('./utils/templateLoader');
 const database = require('./config/database');
+const { getWebhookSecret, isValidWebhookSecret } = require('./utils/webhookSecret');
 require('dotenv').config();
 
 const app = express();
@@ -33,13 +34,30 @@ app.get('/', (req, res) => {
         endpoints: {
             health: '/health',
             webhook: '/webhook',
-            callback: '/auth/x/callback'
+            callback: '/auth/x/callback',
+            cron: '/cron/dispatch'
         }
     });
 });
 
 // Webhook endpoint for Telegram bot
 app.post('/webhook', async (req, res) => {
+    // Reject anything that does not carry the secret registered with setWebHook
+    try {
+        if (!getWebhookSecret()) {
+            console.error('❌ TELEGRAM_WEBHOOK_SECRET is not configured, rejecting webhook request');
+            return res.status(500).json({ error: 'Webhook secret not configured' });
+        }
+        if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+            console.warn('⚠️ Rejected webhook request with missing or invalid secret token');
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+    } catch (secretError) {
+        // A malformed TELEGRAM_WEBHOOK_SECRET
+        console.error('❌ Invalid webhook secret configuration:', secretError.message);
+        return res.status(500).json({ error: 'Webhook secret misconfigured' });
+    }
+    
     try {
         console.log('📨 Received webhook request:', JSON.stringify(req.body, null, 2));
         
@@ -64,16 +82,50 @@ app.post('/webhook', async (req, res) => {
     }
 });
 
-// OAuth callback endpoint
+// Cron endpoint - posts scheduled tweets that are due (safe to call concurrently)
+app.get('/cron/dispatch', async (req, res) => {
+    // Vercel Cron sends the secret as a bearer token
+    if (!process.env.CRON_SECRET) {
+        console.error('❌ CRON_SECRET is not configured, rejecting dispatch request');
+        return res.status(500).json({ error: 'Cron secret not configured' });
+    }
+    if (req.get('authorization') !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    try {
+        if (!botHandler.isInitialized) {
+            await botHandler.init();
+        }
+        
+        const results = await botHandler.dispatchScheduledPosts();
+        res.json({ status: 'OK', ...results });
+    } catch (error) {
+        console.error('❌ Error dispatching scheduled posts:', error);
+        res.status(500).json({ error: 'Failed to dispatch scheduled posts' });
+    }
+});
+
+// OAuth callback endpoint - completes the connection and confirms it in Telegram
 app.get('/auth/x/callback', async (req, res) => {
-    const { code, state } = req.query;
+    const { code, state, error } = req.query;
     
     console.log('🔗 OAuth Callback Received:');
-    console.log('  Code:', code);
     console.log('  State:', state);
     
+    if (error) {
+        console.warn('⚠️ OAuth authorization denied:', error);
+        return res.status(400).send(loadTemplate('authError', {
+            ERROR_TITLE: 'Authorization Cancelled',
+            ERROR_MESSAGE: 'Twitter did not grant access to the bot'
+        }));
+    }
+    
     if (!code || !state) {
-        return res.status(400).send('Missing code or state parameter');
+        return res.status(400).send(loadTemplate('authError', {
+            ERROR_TITLE: 'Session Not Found',
+            ERROR_MESSAGE: 'No active OAuth session was detected'
+        }));
     }
     
     try {
@@ -82,12 +134,33 @@ app.get('/auth/x/callback', async (req, res) => {
             await botHandler.init();
         }
         
-        const actualCallbackUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
-        console.log('📱 Displaying callback URL to user:', actualCallbackUrl);
-        res.send(loadTemplate('authSuccess', { CALLBACK_URL: actualCallbackUrl }));
+        const result = await botHandler.completeOAuth({ state: state.toString(), code: code.toString() });
+        
+        if (!result) {
+            return res.status(400).send(loadTemplate('authError', {
+                ERROR_TITLE: 'Session Not Found',
+                ERROR_MESSAGE: 'This authorization link has expired or was already used'
+            }));
+        }
+        
+        // Let the user know in the chat they started from
+        try {
+            await botHandler.sendConnectedMessage(result.chatId, result.xHandle, result.messageThreadId);
+        } catch (sendError) {
+            console.error('❌ Failed to send connection confirmation:', sendError);
+        }
+        
+        const actualCallbackUrl = `${req.protocol}://${req.get('host')}${req.path}`;
+        res.send(loadTemplate('authSuccess', {
+            CALLBACK_URL: actualCallbackUrl,
+            X_HANDLE: result.xHandle
+        }));
     } catch (error) {
         console.error('❌ Error handling OAuth callback:', error);
-        res.status(500).send('Internal server error');
+        res.status(500).send(loadTemplate('authError', {
+            ERROR_TITLE: 'Authorization Failed',
+            ERROR_MESSAGE: 'Something went wrong while connecting your account. Please try /connect again'
+        }));
     }
 });
 
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockProvider, FailoverProvider, createProviderFromEnv } = require('../utils/llmProvider');
+
+test.beforeEach(() => {
+  Object.keys(process.env).filter(key => key.startsWith('LLM_')).forEach(key => delete process.env[key]);
+});
+
+test('the mock provider answers deterministically from the last user message', async () => {
+  const provider = new MockProvider();
+  const request = { messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Write about   testing' }] };
+  assert.equal(await provider.complete(request), 'Mock response: Write about testing');
+  assert.equal(await provider.complete(request), await provider.complete(request));
+
+  const json = JSON.parse(await provider.complete({ ...request, json: true }));
+  assert.deepEqual(json.tweets, [1, 2, 3].map(index => `Mock tweet ${index}: Write about testing`));
+});
+
+test('failover uses the next provider when one fails', async () => {
+  const failing = { name: 'down', model: 'x', complete: async () => { throw new Error('unavailable'); } };
+  const provider = new FailoverProvider([failing, new MockProvider()]);
+  assert.equal(await provider.complete({ messages: [{ role: 'user', content: 'hi' }] }), 'Mock response: hi');
+});
+
+test('LLM_PROVIDER=mock configures the mock provider', () => {
+  process.env.LLM_PROVIDER = 'mock';
+  const provider = createProviderFromEnv();
+  assert.equal(provider.name, 'mock');
+});
+
+test('a custom provider without a base URL is a configuration error', () => {
+  process.env.LLM_PROVIDER = 'my-endpoint';
+  process.env.LLM_MODEL = 'some-model';
+  assert.throws(() => createProviderFromEnv(), /LLM_BASE_URL and LLM_MODEL are required/);
+});
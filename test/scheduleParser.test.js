@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSchedule, isValidTimezone, zonedTimeToDate } = require('../utils/scheduleParser');
+
+const now = new Date('2026-10-19T15:00:00Z');
+
+test('relative times are added to now', () => {
+  assert.deepEqual(parseSchedule('in 2h Hello', 'UTC', now), { date: new Date('2026-10-19T17:00:00Z'), text: 'Hello' });
+  assert.deepEqual(parseSchedule('+1h30m Hi', 'UTC', now), { date: new Date('2026-10-19T16:30:00Z'), text: 'Hi' });
+  assert.deepEqual(parseSchedule('in 3 days later', 'UTC', now).date, new Date('2026-10-22T15:00:00Z'));
+});
+
+test('unknown units and missing times are rejected', () => {
+  assert.equal(parseSchedule('in 2 weeks Hello', 'UTC', now), null);
+  assert.equal(parseSchedule('soon Hello', 'UTC', now), null);
+  assert.equal(parseSchedule('25:00 Hello', 'UTC', now), null);
+});
+
+test('a bare time later today stays today', () => {
+  assert.deepEqual(parseSchedule('16:00 Later', 'UTC', now), { date: new Date('2026-10-19T16:00:00Z'), text: 'Later' });
+});
+
+test('a bare time that has already passed rolls to tomorrow', () => {
+  assert.deepEqual(parseSchedule('14:30 Morning post', 'UTC', now), { date: new Date('2026-10-20T14:30:00Z'), text: 'Morning post' });
+  // Exactly now has passed too
+  assert.deepEqual(parseSchedule('15:00 x', 'UTC', now).date, new Date('2026-10-20T15:00:00Z'));
+});
+
+test('times are read in the user timezone', () => {
+  // 17:00 in Berlin (CEST, UTC+2) is 15:00 UTC, which is not after now
+  assert.deepEqual(parseSchedule('17:00 x', 'Europe/Berlin', now).date, new Date('2026-10-20T15:00:00Z'));
+  // It is already 00:00 on the 20th in Tokyo, so tomorrow is the 21st
+  assert.deepEqual(parseSchedule('tomorrow 09:00 x', 'Asia/Tokyo', now).date, new Date('2026-10-21T00:00:00Z'));
+  assert.deepEqual(parseSchedule('2026-12-24 18:00 x', 'America/New_York', now).date, new Date('2026-12-24T23:00:00Z'));
+});
+
+test('dates on either side of a DST change use the offset in effect that day', () => {
+  // New York springs forward on 2026-03-08 and falls back on 2026-11-01
+  assert.deepEqual(zonedTimeToDate(2026, 3, 7, 12, 0, 'America/New_York'), new Date('2026-03-07T17:00:00Z'));
+  assert.deepEqual(zonedTimeToDate(2026, 3, 8, 12, 0, 'America/New_York'), new Date('2026-03-08T16:00:00Z'));
+  assert.deepEqual(zonedTimeToDate(2026, 10, 31, 12, 0, 'America/New_York'), new Date('2026-10-31T16:00:00Z'));
+  assert.deepEqual(zonedTimeToDate(2026, 11, 1, 12, 0, 'America/New_York'), new Date('2026-11-01T17:00:00Z'));
+});
+
+test('a bare time rolling to tomorrow across a DST change keeps the wall-clock time', () => {
+  // 18:00 EST on the evening before New York springs forward
+  const evening = new Date('2026-03-07T23:00:00Z');
+  assert.deepEqual(parseSchedule('09:00 x', 'America/New_York', evening).date, new Date('2026-03-08T13:00:00Z'));
+  // 18:00 CEST on the evening before Berlin falls back
+  const autumn = new Date('2026-10-24T16:00:00Z');
+  assert.deepEqual(parseSchedule('09:00 x', 'Europe/Berlin', autumn).date, new Date('2026-10-25T08:00:00Z'));
+});
+
+test('timezones are validated', () => {
+  assert.equal(isValidTimezone('Europe/Berlin'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+});
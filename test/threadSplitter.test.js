@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIntoThread, parseNumberedTweets, buildThread } = require('../utils/threadSplitter');
+const { getTweetLength, MAX_TWEET_LENGTH } = require('../utils/tweetLength');
+
+const sentence = index => `This is sentence number ${index} of a long post about writing threads.`;
+const longText = Array.from({ length: 20 }, (_, index) => sentence(index + 1)).join(' ');
+
+test('text that fits stays a single unnumbered part', () => {
+  assert.deepEqual(splitIntoThread('Just one short tweet.'), ['Just one short tweet.']);
+  assert.deepEqual(splitIntoThread('   '), []);
+});
+
+test('long text is split on sentence boundaries into numbered parts that fit', () => {
+  const parts = splitIntoThread(longText);
+  assert.ok(parts.length > 1);
+  parts.forEach((part, index) => {
+    assert.ok(getTweetLength(part) <= MAX_TWEET_LENGTH, `part ${index + 1} is too long`);
+    assert.ok(part.endsWith(` ${index + 1}/${parts.length}`));
+    // Every part ends a sentence before its number
+    assert.match(part, /threads\. \d+\/\d+$/);
+  });
+  const rejoined = parts.map(part => part.replace(/ \d+\/\d+$/, '')).join(' ');
+  assert.equal(rejoined, longText);
+});
+
+test('each block starts a new part', () => {
+  const parts = splitIntoThread(['First block.', 'Second block.']);
+  assert.deepEqual(parts, ['First block. 1/2', 'Second block. 2/2']);
+});
+
+test('a sentence longer than a tweet is cut on word boundaries', () => {
+  const words = Array.from({ length: 120 }, (_, index) => `word${index}`).join(' ');
+  const parts = splitIntoThread(words);
+  assert.ok(parts.length > 1);
+  parts.forEach(part => assert.ok(getTweetLength(part) <= MAX_TWEET_LENGTH));
+  const rejoined = parts.map(part => part.replace(/ \d+\/\d+$/, '')).join(' ');
+  assert.equal(rejoined, words);
+});
+
+test('a giant word is hard-cut without breaking emoji apart', () => {
+  const parts = splitIntoThread('🎉'.repeat(200));
+  assert.ok(parts.length > 1);
+  parts.forEach(part => {
+    assert.ok(getTweetLength(part) <= MAX_TWEET_LENGTH);
+    assert.doesNotMatch(part, /[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+  });
+});
+
+test('numbered AI output keeps one tweet per part', () => {
+  const text = 'Tweet 1: The first idea.\nTweet 2: The second idea.\n**Tweet 3:** The third.';
+  assert.deepEqual(parseNumberedTweets(text), ['The first idea.', 'The second idea.', 'The third.']);
+  assert.deepEqual(buildThread(text), ['The first idea. 1/3', 'The second idea. 2/3', 'The third. 3/3']);
+});
+
+test('text with fewer than two numbered tweets is not treated as numbered', () => {
+  assert.equal(parseNumberedTweets('Tweet 1: only one'), null);
+  assert.equal(parseNumberedTweets('no numbering here'), null);
+});
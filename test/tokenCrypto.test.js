@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { encrypt, decrypt, encryptToken, decryptToken, isEncrypted, needsReencryption } = require('../utils/tokenCrypto');
+
+const KEY = crypto.randomBytes(32).toString('hex');
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+
+test.beforeEach(() => {
+  process.env.TOKEN_ENCRYPTION_KEY = KEY;
+  delete process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS;
+});
+
+test('decrypting an encrypted value gives back the input', () => {
+  for (const value of ['access-token-123', 'ünïcödé 🎉', 'x'.repeat(2000)]) {
+    const encrypted = encrypt(value);
+    assert.ok(isEncrypted(encrypted));
+    assert.ok(!encrypted.includes(value));
+    assert.equal(decrypt(encrypted), value);
+  }
+});
+
+test('the same value encrypts differently each time', () => {
+  assert.notEqual(encrypt('token'), encrypt('token'));
+});
+
+test('tampered ciphertext, auth tag or iv fails to decrypt', () => {
+  const encrypted = encrypt('secret-token');
+  const parts = encrypted.split(':');
+  // enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>
+  for (const index of [3, 4, 5]) {
+    const bytes = Buffer.from(parts[index], 'base64');
+    bytes[0] ^= 0xff;
+    const tampered = [...parts];
+    tampered[index] = bytes.toString('base64');
+    assert.throws(() => decrypt(tampered.join(':')));
+  }
+});
+
+test('a value encrypted with an unknown key fails to decrypt', () => {
+  const encrypted = encrypt('secret-token');
+  process.env.TOKEN_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+  assert.throws(() => decrypt(encrypted), /No token encryption key available/);
+});
+
+test('previous keys still decrypt and mark values for re-encryption', () => {
+  process.env.TOKEN_ENCRYPTION_KEY = OLD_KEY;
+  const encrypted = encrypt('rotated-token');
+  assert.equal(needsReencryption(encrypted), false);
+
+  process.env.TOKEN_ENCRYPTION_KEY = KEY;
+  process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS = OLD_KEY;
+  assert.equal(decrypt(encrypted), 'rotated-token');
+  assert.equal(needsReencryption(encrypted), true);
+  assert.equal(needsReencryption('plaintext'), true);
+});
+
+test('the mongoose setter and getter leave empty and legacy plaintext values alone', () => {
+  assert.equal(encryptToken(''), '');
+  assert.equal(encryptToken(null), null);
+  const encrypted = encryptToken('token');
+  assert.equal(encryptToken(encrypted), encrypted);
+  assert.equal(decryptToken(encrypted), 'token');
+  assert.equal(decryptToken('legacy-plaintext'), 'legacy-plaintext');
+});
+
+test('a missing or malformed key is an error', () => {
+  delete process.env.TOKEN_ENCRYPTION_KEY;
+  assert.throws(() => encrypt('token'), /TOKEN_ENCRYPTION_KEY/);
+  process.env.TOKEN_ENCRYPTION_KEY = 'too-short';
+  assert.throws(() => encrypt('token'), /32 bytes/);
+});
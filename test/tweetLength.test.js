@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTweet, getTweetLength, describeOverLength, MAX_TWEET_LENGTH, TRANSFORMED_URL_LENGTH } = require('../utils/tweetLength');
+
+test('Latin text counts one per character', () => {
+  assert.equal(getTweetLength('hello world'), 11);
+  assert.equal(getTweetLength('café'), 4);
+});
+
+test('URLs count as a t.co link regardless of length', () => {
+  const long = `https://example.com/${'a'.repeat(200)}`;
+  assert.equal(getTweetLength(long), TRANSFORMED_URL_LENGTH);
+  assert.equal(getTweetLength('see https://x.co'), 4 + TRANSFORMED_URL_LENGTH);
+  assert.equal(getTweetLength('read example.com/post now'), 5 + TRANSFORMED_URL_LENGTH + 4);
+});
+
+test('trailing punctuation is not part of a URL', () => {
+  assert.deepEqual(parseTweet('Read https://example.com/a.').urls, ['https://example.com/a']);
+  assert.equal(getTweetLength('Read https://example.com/a.'), 5 + TRANSFORMED_URL_LENGTH + 1);
+});
+
+test('email addresses are not links', () => {
+  assert.deepEqual(parseTweet('mail me at user@example.com').urls, []);
+});
+
+test('CJK characters count two each', () => {
+  assert.equal(getTweetLength('你好'), 4);
+  assert.equal(getTweetLength('こんにちは'), 10);
+  assert.equal(parseTweet('字'.repeat(140)).valid, true);
+  assert.equal(parseTweet('字'.repeat(141)).valid, false);
+});
+
+test('an emoji counts two, including modifiers and ZWJ sequences', () => {
+  assert.equal(getTweetLength('👍'), 2);
+  assert.equal(getTweetLength('👍🏽'), 2);
+  assert.equal(getTweetLength('👨‍👩‍👧'), 2);
+  assert.equal(getTweetLength('🇯🇵'), 2);
+  assert.equal(getTweetLength('1️⃣'), 2);
+  assert.equal(getTweetLength('ok 🎉'), 5);
+});
+
+test('light-range symbols without a variation selector count one', () => {
+  assert.equal(getTweetLength('©'), 1);
+});
+
+test('validity follows the 280 limit', () => {
+  assert.equal(parseTweet('a'.repeat(MAX_TWEET_LENGTH)).valid, true);
+  const over = parseTweet('a'.repeat(MAX_TWEET_LENGTH + 3));
+  assert.equal(over.valid, false);
+  assert.equal(over.overBy, 3);
+  assert.equal(parseTweet('').valid, false);
+});
+
+test('mentions are collected once and not from inside links', () => {
+  const { mentions } = parseTweet('hi @Alice and @alice, see https://example.com/@bob or mail a@b.co');
+  assert.deepEqual(mentions, ['@Alice']);
+});
+
+test('the over-length message mentions link weighting', () => {
+  const message = describeOverLength(`${'a'.repeat(270)} https://example.com`);
+  assert.match(message, /294 characters on X, 14 over the 280 limit/);
+  assert.match(message, /Links count as 23 characters each/);
+});
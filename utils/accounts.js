@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const LinkedAccount = require('../models/LinkedAccount');
+
+// "@Brand" and "brand" refer to the same account
+function normalizeHandle(handle) {
+  return (handle || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Move tokens stored on the user by the single-account version of the bot into a
+ * linked account, and make it the active one. Safe to call repeatedly and concurrently.
+ */
+async function migrateLegacyAccount(user) {
+  if (!user || !user.xHandle || !user.accessToken) {
+    return;
+  }
+
+  try {
+    const account = await LinkedAccount.findOneAndUpdate(
+      { telegramId: user.telegramId, xHandle: user.xHandle },
+      {
+        $setOnInsert: {
+          accessToken: user.accessToken,
+          refreshToken: user.refreshToken,
+          tokenExpiresAt: user.tokenExpiresAt,
+          isConnected: !!user.isConnected,
+          connectedAt: user.joinTime
+        }
+      },
+      { upsert: true, new: true }
+    );
+    await User.updateOne(
+      { _id: user._id },
+      {
+        activeAccountId: user.activeAccountId || account._id,
+        $unset: { accessToken: 1, refreshToken: 1, tokenExpiresAt: 1, tokenRefreshLockUntil: 1 }
+      }
+    );
+    console.log(`🔀 Migrated @${user.xHandle} to a linked account for user`, user.telegramId);
+  } catch (error) {
+    // A concurrent migration created the account first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * The user and all their linked accounts, oldest first, with `active` set to the account
+ * new posts go to: the one picked with /use, or the only one if there is a single account.
+ */
+async function loadAccounts(telegramId) {
+  let user = await User.findOne({ telegramId });
+  if (user && user.accessToken) {
+    await migrateLegacyAccount(user);
+    user = await User.findOne({ telegramId });
+  }
+
+  const accounts = user
+    ? await LinkedAccount.find({ telegramId }).sort({ connectedAt: 1 })
+    : [];
+  const active = accounts.find(account => user.activeAccountId && account._id.equals(user.activeAccountId)) ||
+    (accounts.length === 1 ? accounts[0] : null);
+
+  return { user, accounts, active };
+}
+
+/**
+ * The account a post should go to: the one named by `handle`, or the active one.
+ * Returns null if there is no such account.
+ */
+async function findAccount(telegramId, handle = null) {
+  const { accounts, active } = await loadAccounts(telegramId);
+  if (!handle) {
+    return active;
+  }
+  const normalized = normalizeHandle(handle);
+  return accounts.find(account => account.xHandle === normalized) || null;
+}
+
+async function setActiveAccount(user, account) {
+  await User.updateOne({ _id: user._id }, { activeAccountId: account._id });
+}
+
+/**
+ * Unlink an account. If it was the active one, the oldest remaining account becomes active.
+ */
+async function removeAccount(user, account) {
+  await LinkedAccount.deleteOne({ _id: account._id });
+
+  if (user.activeAccountId && account._id.equals(user.activeAccountId)) {
+    const next = await LinkedAccount.findOne({ telegramId: user.telegramId }).sort({ connectedAt: 1 });
+    await User.updateOne(
+      { _id: user._id },
+      next ? { activeAccountId: next._id } : { $unset: { activeAccountId: 1 } }
+    );
+  }
+}
+
+module.exports = {
+  normalizeHandle,
+  loadAccounts,
+  findAccount,
+  setActiveAccount,
+  removeAccount
+};
@@ -0,0 +1,241 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { htmlToText } = require('./documentText');
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 3 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+// Paragraphs shorter than this are usually captions, bylines or buttons
+const MIN_PARAGRAPH_LENGTH = 40;
+const MIN_ARTICLE_LENGTH = 200;
+
+// Failure with a message that can be shown to the user as-is
+class ArticleFetchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArticleFetchError';
+  }
+}
+
+// Containers that hold navigation, ads and other boilerplate rather than the article
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'nav', 'header', 'footer', 'aside', 'button', 'select'];
+const BOILERPLATE_HINT = /\b(comment|share|social|related|newsletter|subscribe|promo|cookie|banner|sidebar|advert|ad-|popup|modal|breadcrumb|footer|menu)/i;
+
+// Addresses a link must not reach: loopback, private, link-local, CGNAT, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 rules.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return !family || PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that refuses private addresses. It is the lookup of the sockets that fetch
+ * pages, so the address that was checked is the one connected to: a host cannot pass the
+ * check and then resolve to an internal address for the actual request (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(new ArticleFetchError(`Could not find ${hostname}.`));
+      return;
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      callback(new ArticleFetchError('That link points to a private network address.'));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const AGENTS = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// Only public http(s) hosts may be fetched, so links cannot be used to probe internal services.
+// Hostnames are checked when they are resolved (publicLookup); IP literals are never resolved.
+function assertPublicUrl(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ArticleFetchError('Only http and https links are supported.');
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new ArticleFetchError('That link points to a private network address.');
+  }
+}
+
+function requestPage(url, signal) {
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).get(url, {
+      agent: AGENTS[url.protocol],
+      signal,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; TweetBot/1.0; +https://telegram.org)',
+        Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9',
+        'Accept-Encoding': 'identity'
+      }
+    }, resolve);
+    request.on('error', reject);
+  });
+}
+
+async function readBody(response) {
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of response) {
+    received += chunk.length;
+    if (received > MAX_PAGE_BYTES) {
+      response.destroy();
+      throw new ArticleFetchError('That page is too large to read.');
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+
+  const buffer = Buffer.concat(chunks);
+  const charset = (response.headers['content-type'] || '').match(/charset=([^;]+)/i)?.[1]?.trim();
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    return buffer.toString('utf8');
+  }
+}
+
+// Network failures as user-facing errors
+function toFetchError(error) {
+  if (error instanceof ArticleFetchError) {
+    return error;
+  }
+  return new ArticleFetchError(error.name === 'AbortError' ? 'The page took too long to respond.' : 'Could not load that page.');
+}
+
+/**
+ * Download a page, following redirects, and return its HTML (or plain text).
+ * @returns {Promise<{ url: string, body: string, isHtml: boolean }>}
+ */
+async function fetchPage(rawUrl) {
+  let url = new URL(rawUrl);
+  // One deadline for the whole download, redirects and body included
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    assertPublicUrl(url);
+
+    let response;
+    try {
+      response = await requestPage(url, signal);
+    } catch (error) {
+      throw toFetchError(error);
+    }
+
+    const status = response.statusCode;
+    if (status >= 300 && status < 400 && response.headers.location) {
+      response.resume();
+      url = new URL(response.headers.location, url);
+      continue;
+    }
+    if (status < 200 || status >= 300) {
+      response.resume();
+      throw new ArticleFetchError(`The page returned HTTP ${status}.`);
+    }
+
+    const contentType = (response.headers['content-type'] || '').toLowerCase();
+    const isHtml = contentType.includes('html');
+    if (!isHtml && !contentType.startsWith('text/plain')) {
+      response.destroy();
+      throw new ArticleFetchError(`That link is not a web page (${contentType.split(';')[0] || 'unknown type'}).`);
+    }
+
+    try {
+      return { url: url.toString(), body: await readBody(response), isHtml };
+    } catch (error) {
+      throw toFetchError(error);
+    }
+  }
+
+  throw new ArticleFetchError('That link redirects too many times.');
+}
+
+function getMetaContent(html, name) {
+  const pattern = new RegExp(`<meta\\b[^>]*(?:property|name)=["']${name}["'][^>]*>`, 'i');
+  const tag = html.match(pattern)?.[0];
+  return tag?.match(/content=["']([^"']*)["']/i)?.[1] || null;
+}
+
+function removeBoilerplate(html) {
+  let cleaned = html.replace(/<!--[\s\S]*?-->/g, '');
+  BOILERPLATE_TAGS.forEach(tag => {
+    cleaned = cleaned.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), '');
+  });
+  return cleaned;
+}
+
+// The <article> or <main> element if the page has one, otherwise the body
+function findMainContainer(html) {
+  const articles = [...html.matchAll(/<article\b[^>]*>([\s\S]*?)<\/article\s*>/gi)].map(match => match[1]);
+  if (articles.length > 0) {
+    return articles.sort((a, b) => b.length - a.length)[0];
+  }
+  return html.match(/<main\b[^>]*>([\s\S]*?)<\/main\s*>/i)?.[1] ||
+    html.match(/<body\b[^>]*>([\s\S]*?)<\/body\s*>/i)?.[1] ||
+    html;
+}
+
+/**
+ * Reduce an HTML page to its title and main article text, dropping navigation and other boilerplate.
+ * @returns {{ title: string|null, text: string }}
+ */
+function extractArticle(html) {
+  const title = htmlToText(getMetaContent(html, 'og:title') || '') ||
+    htmlToText(html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i)?.[1] || '') ||
+    null;
+
+  const container = findMainContainer(removeBoilerplate(html));
+  const blocks = [...container.matchAll(/<(p|h[1-4]|li|blockquote|pre)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi)]
+    .filter(([, , attributes]) => !BOILERPLATE_HINT.test(attributes))
+    .map(([, tag, , inner]) => ({ tag: tag.toLowerCase(), text: htmlToText(inner) }))
+    .filter(({ tag, text }) => text && (tag !== 'p' || text.length >= MIN_PARAGRAPH_LENGTH));
+
+  // Headings and list items only count when the page has real paragraphs around them
+  const paragraphs = blocks.filter(({ tag }) => tag === 'p');
+  const text = paragraphs.reduce((sum, { text: paragraph }) => sum + paragraph.length, 0) >= MIN_ARTICLE_LENGTH
+    ? blocks.map(({ text: block }) => block).join('\n\n')
+    : htmlToText(container);
+
+  return { title: title ? title.trim() : null, text };
+}
+
+/**
+ * Fetch a link and return its main article text.
+ * Throws ArticleFetchError with a user-facing message if the page cannot be used.
+ * @returns {Promise<{ url: string, title: string|null, text: string }>}
+ */
+async function fetchArticle(rawUrl) {
+  const { url, body, isHtml } = await fetchPage(rawUrl);
+  const { title, text } = isHtml ? extractArticle(body) : { title: null, text: body.trim() };
+
+  if (text.length < MIN_ARTICLE_LENGTH) {
+    throw new ArticleFetchError('I could not find article text on that page. It may need JavaScript or a login to load.');
+  }
+  return { url, title, text };
+}
+
+module.exports = {
+  ArticleFetchError,
+  extractArticle,
+  fetchArticle
+};
@@ -0,0 +1,134 @@
+// Declarative command registry: parses "/name@bot arguments", resolves aliases, and
+// generates /help text and the Telegram command menu from the same definitions.
+
+// "/Name", "/name@SomeBot", then the arguments after any whitespace, newlines included
+const COMMAND_PATTERN = /^\/([a-z0-9_]+)(?:@([a-z0-9_]+))?(?=\s|$)\s*([\s\S]*)$/i;
+
+// Telegram limits for setMyCommands
+const MENU_NAME_PATTERN = /^[a-z0-9_]{1,32}$/;
+const MAX_MENU_DESCRIPTION = 256;
+
+/**
+ * Split command text into its parts.
+ * @returns {{ name: string, botUsername: string|null, args: string }|null} null if the text is not a command
+ */
+function parseCommand(text) {
+  const match = (text || '').match(COMMAND_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return {
+    name: match[1].toLowerCase(),
+    botUsername: match[2] || null,
+    args: match[3].trim()
+  };
+}
+
+/**
+ * @typedef {Object} CommandDefinition
+ * @property {string} name - Lowercase command name without the slash
+ * @property {string[]} [aliases] - Other names that run the same command
+ * @property {string} [usage] - Argument summary, e.g. "<text>"
+ * @property {string} description - Short description for the Telegram menu
+ * @property {string} [help] - Longer description for /help (defaults to description)
+ * @property {string} [emoji] - Shown before the command in /help and /start
+ * @property {string} [section] - /help heading the command is listed under
+ * @property {boolean} [start] - Also list the command in the /start message
+ * @property {boolean} [groupOnly] - Only offered in the menu of group chats
+ * @property {boolean} [hidden] - Left out of /help and the menu
+ * @property {(msg: Object, args: string) => Promise<void>} run
+ */
+
+class CommandRegistry {
+  /**
+   * @param {CommandDefinition[]} definitions
+   */
+  constructor(definitions = []) {
+    this.commands = [];
+    this.byName = new Map();
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  register(definition) {
+    const names = [definition.name, ...(definition.aliases || [])];
+    names.forEach(name => {
+      if (!MENU_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid command name: ${name}`);
+      }
+      if (this.byName.has(name)) {
+        throw new Error(`Command registered twice: /${name}`);
+      }
+    });
+    if (!definition.description || definition.description.length > MAX_MENU_DESCRIPTION) {
+      throw new Error(`Command /${definition.name} needs a description of at most ${MAX_MENU_DESCRIPTION} characters`);
+    }
+
+    this.commands.push(definition);
+    names.forEach(name => this.byName.set(name, definition));
+  }
+
+  resolve(name) {
+    return this.byName.get((name || '').toLowerCase()) || null;
+  }
+
+  /**
+   * Match command text against the registry.
+   * Returns null for text that is not a command or is addressed to a different bot;
+   * otherwise `command` is the matching definition, or null for an unknown command.
+   */
+  route(text, botUsername = null) {
+    const parsed = parseCommand(text);
+    if (!parsed) {
+      return null;
+    }
+    // In groups, "/start@OtherBot" is meant for another bot
+    if (parsed.botUsername && botUsername && parsed.botUsername.toLowerCase() !== botUsername.toLowerCase()) {
+      return null;
+    }
+    return { ...parsed, command: this.resolve(parsed.name) };
+  }
+
+  // Commands in the format setMyCommands expects
+  menuCommands({ includeGroupOnly = false } = {}) {
+    return this.commands
+      .filter(command => !command.hidden && (includeGroupOnly || !command.groupOnly))
+      .map(command => ({ command: command.name, description: command.description }));
+  }
+
+  formatLine(command, text) {
+    const usage = command.usage ? ` ${command.usage}` : '';
+    const emoji = command.emoji ? `${command.emoji} ` : '';
+    return `${emoji}/${command.name}${usage} - ${text}`;
+  }
+
+  // Visible commands grouped under their section headings, in registration order
+  formatHelp() {
+    const sections = new Map();
+    this.commands.filter(command => !command.hidden).forEach(command => {
+      const section = command.section || 'Commands';
+      if (!sections.has(section)) {
+        sections.set(section, []);
+      }
+      const aliases = (command.aliases || []).map(alias => `/${alias}`).join(', ');
+      const help = command.help || command.description;
+      sections.get(section).push(this.formatLine(command, aliases ? `${help} (also ${aliases})` : help));
+    });
+
+    return [...sections.entries()]
+      .map(([section, lines]) => `*${section}:*\n${lines.join('\n')}`)
+      .join('\n\n');
+  }
+
+  // Short list of the commands marked for the /start message
+  formatStart() {
+    return this.commands
+      .filter(command => command.start && !command.hidden)
+      .map(command => this.formatLine(command, command.description))
+      .join('\n');
+  }
+}
+
+module.exports = {
+  parseCommand,
+  CommandRegistry
+};
@@ -0,0 +1,69 @@
+const Conversation = require('../models/Conversation');
+
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Start (or replace) the conversation of a user in a chat.
+ * Only one flow runs at a time, so starting a flow abandons any earlier one.
+ */
+async function startConversation({ chatId, telegramId }, flow, step, data = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return Conversation.findOneAndUpdate(
+    { chatId, telegramId },
+    { flow, step, data, expiresAt: new Date(Date.now() + timeoutMs), updatedAt: new Date() },
+    { upsert: true, new: true }
+  );
+}
+
+// The running conversation, or null if there is none or it has timed out
+async function getConversation({ chatId, telegramId }) {
+  const conversation = await Conversation.findOne({ chatId, telegramId });
+  if (conversation && conversation.expiresAt <= new Date()) {
+    // The TTL monitor only runs once a minute
+    await Conversation.deleteOne({ _id: conversation._id });
+    return null;
+  }
+  return conversation;
+}
+
+/**
+ * Move a conversation to its next step, merging `data` into what it already remembers.
+ * The timeout starts again from now.
+ */
+async function advanceConversation(conversation, step, data = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return Conversation.findByIdAndUpdate(
+    conversation._id,
+    {
+      step,
+      data: { ...conversation.data, ...data },
+      expiresAt: new Date(Date.now() + timeoutMs),
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+}
+
+// End the conversation. Returns the one that was running, or null.
+async function endConversation({ chatId, telegramId }) {
+  return Conversation.findOneAndDelete({ chatId, telegramId });
+}
+
+/**
+ * Atomically end a running conversation of `flow` whose data includes `match`, and return it.
+ * Returns null if it has ended, timed out or was replaced, so two confirmations cannot both act on it.
+ */
+async function takeConversation({ chatId, telegramId }, flow, match = {}) {
+  const filter = { chatId, telegramId, flow, expiresAt: { $gt: new Date() } };
+  Object.entries(match).forEach(([key, value]) => {
+    filter[`data.${key}`] = value;
+  });
+  return Conversation.findOneAndDelete(filter);
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  startConversation,
+  getConversation,
+  advanceConversation,
+  endConversation,
+  takeConversation
+};
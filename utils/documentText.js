@@ -0,0 +1,169 @@
+const path = require('path');
+// Require the library file directly: the package entry point runs a self-test when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.markdown', '.html', '.htm', '.pdf', '.docx'];
+
+// Failure with a message that can be shown to the user as-is
+class DocumentExtractionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentExtractionError';
+  }
+}
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', laquo: '«', raquo: '»', middot: '·', bull: '•'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Collapse runs of spaces and blank lines left behind by markup
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v\u00A0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Reduce an HTML document or fragment to readable text, keeping paragraph breaks.
+ */
+function htmlToText(html) {
+  const text = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head|iframe)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<\/li\s*>/gi, '')
+    .replace(/<\/?(p|div|section|article|header|footer|aside|main|nav|h[1-6]|ul|ol|tr|table|blockquote|pre|figure|figcaption|hr|dl|dt|dd)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/t[dh]\s*>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeWhitespace(decodeEntities(text));
+}
+
+/**
+ * Reduce Markdown to plain prose: formatting, link targets and code fences are removed.
+ */
+function markdownToText(markdown) {
+  const text = String(markdown || '')
+    .replace(/\r\n?/g, '\n')
+    // YAML front matter
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    // Code fences: keep the code, drop the fence lines
+    .replace(/^(```|~~~).*$/gm, '')
+    // Images and links keep only their text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+    .replace(/^[ \t]*\[[^\]]+\]:[ \t]+\S+.*$/gm, '')
+    // Headings, blockquotes, lists and rules
+    .replace(/^ {0,3}#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, '$1')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^[ \t]*[-*+][ \t]+\[[ xX]\][ \t]+/gm, '• ')
+    .replace(/^[ \t]*[-*+][ \t]+/gm, '• ')
+    .replace(/^[ \t]*([-*_])([ \t]*\1){2,}[ \t]*$/gm, '')
+    // Tables: drop separator rows, turn pipes into spacing
+    .replace(/^[ \t]*\|?[ \t]*:?-{3,}:?[ \t]*(\|[ \t]*:?-{3,}:?[ \t]*)*\|?[ \t]*$/gm, '')
+    .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (match, row) => row.split('|').map(cell => cell.trim()).join(' · '))
+    // Emphasis and inline code
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)/g, '$1$2')
+    .replace(/(^|[^\w_])_(?!\s)(.+?)_(?!\w)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/`([^`]+)`/g, '$1');
+
+  // Inline HTML is allowed in Markdown
+  return /<[a-z][^>]*>/i.test(text) ? htmlToText(text) : normalizeWhitespace(decodeEntities(text));
+}
+
+async function extractPdfText(buffer) {
+  let data;
+  try {
+    data = await pdfParse(buffer);
+  } catch (error) {
+    if (error.name === 'PasswordException' || /password|encrypt/i.test(error.message || '')) {
+      throw new DocumentExtractionError('This PDF is password-protected or encrypted. Please send an unlocked copy.');
+    }
+    throw new DocumentExtractionError('This PDF could not be read. It may be damaged.');
+  }
+
+  const text = normalizeWhitespace(data.text || '');
+  if (!text) {
+    throw new DocumentExtractionError('This PDF has no text layer (it looks like scanned images). Please send a PDF with selectable text.');
+  }
+  return text;
+}
+
+async function extractDocxText(buffer) {
+  let result;
+  try {
+    result = await mammoth.extractRawText({ buffer });
+  } catch (error) {
+    // Password-protected Word files are not zip archives, so mammoth cannot open them
+    throw new DocumentExtractionError('This Word document could not be read. It may be password-protected or not a .docx file.');
+  }
+
+  const text = normalizeWhitespace(result.value || '');
+  if (!text) {
+    throw new DocumentExtractionError('This Word document contains no text (only images?). Please send a document with text.');
+  }
+  return text;
+}
+
+function isSupportedDocument(fileName) {
+  return SUPPORTED_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Extract plain text from an uploaded document based on its file extension.
+ * Throws DocumentExtractionError with a user-facing message if no text can be extracted.
+ * @param {Buffer} buffer
+ * @param {string} fileName
+ * @returns {Promise<string>}
+ */
+async function extractDocumentText(buffer, fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  switch (extension) {
+    case '.pdf':
+      return extractPdfText(buffer);
+    case '.docx':
+      return extractDocxText(buffer);
+    case '.md':
+    case '.markdown':
+      return markdownToText(buffer.toString('utf8'));
+    case '.html':
+    case '.htm':
+      return htmlToText(buffer.toString('utf8'));
+    case '.txt':
+      return buffer.toString('utf8');
+    default:
+      throw new DocumentExtractionError(`Unsupported file type: ${extension || 'none'}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  DocumentExtractionError,
+  htmlToText,
+  markdownToText,
+  isSupportedDocument,
+  extractDocumentText
+};
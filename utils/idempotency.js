@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * Run `operation` at most once per key.
+ * Returns `{ duplicate, result }`. For a duplicate, result is what the first run
+ * returned, or null while the first run is still in flight.
+ * If the operation throws, the key is released so it can be retried.
+ */
+async function runOnce(key, operation) {
+  if (!key) {
+    return { duplicate: false, result: await operation() };
+  }
+
+  try {
+    await IdempotencyKey.create({ key });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const existing = await IdempotencyKey.findOne({ key });
+    return { duplicate: true, result: existing?.result ?? null };
+  }
+
+  let result;
+  try {
+    result = await operation();
+  } catch (error) {
+    await IdempotencyKey.deleteOne({ key, status: 'pending' });
+    throw error;
+  }
+
+  await IdempotencyKey.updateOne({ key }, { status: 'completed', result });
+  return { duplicate: false, result };
+}
+
+// Short stable fingerprint of a text, for keys that should change when the text does
+function fingerprint(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex').slice(0, 12);
+}
+
+module.exports = {
+  runOnce,
+  fingerprint
+};
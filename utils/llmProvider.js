@@ -0,0 +1,170 @@
+const OpenAI = require('openai');
+require('dotenv').config();
+
+// Known OpenAI-compatible endpoints. "local" covers Ollama, LM Studio, vLLM and similar servers.
+const PRESETS = {
+  deepseek: {
+    baseURL: 'https://api.deepseek.com',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    model: 'deepseek-chat'
+  },
+  openai: {
+    baseURL: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    model: 'gpt-4o-mini'
+  },
+  local: {
+    baseURL: 'http://localhost:11434/v1',
+    apiKeyEnv: null,
+    model: 'llama3.1'
+  }
+};
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 800;
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {{ role: string, content: string }[]} messages
+ * @property {number} [temperature]   Defaults to the provider's configured temperature
+ * @property {number} [maxTokens]     Defaults to the provider's configured max tokens
+ * @property {boolean} [json]         Ask for a JSON object response
+ */
+
+// Any endpoint that speaks the OpenAI chat completions API
+class OpenAICompatibleProvider {
+  constructor({ name, baseURL, apiKey, model, temperature = DEFAULT_TEMPERATURE, maxTokens = DEFAULT_MAX_TOKENS }) {
+    this.name = name;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    // Local servers usually ignore the key, but the SDK requires one
+    this.client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL });
+  }
+
+  /**
+   * @param {CompletionRequest} request
+   * @returns {Promise<string>} The text of the first choice
+   */
+  async complete({ messages, temperature, maxTokens, json = false }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature: temperature ?? this.temperature,
+      max_tokens: maxTokens ?? this.maxTokens,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+    return response.choices[0]?.message?.content || '';
+  }
+}
+
+// Deterministic provider for tests and local development without an API key
+class MockProvider {
+  constructor({ model = 'mock' } = {}) {
+    this.name = 'mock';
+    this.model = model;
+  }
+
+  async complete({ messages, json = false }) {
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const words = prompt.replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+    const excerpt = words.slice(-20).join(' ');
+
+    if (json) {
+      return JSON.stringify({
+        tweets: [1, 2, 3].map(index => `Mock tweet ${index}: ${excerpt}`.slice(0, 200))
+      });
+    }
+    return `Mock response: ${excerpt}`.slice(0, 200);
+  }
+}
+
+// Tries each provider in order and returns the first successful response
+class FailoverProvider {
+  constructor(providers) {
+    this.providers = providers;
+    this.name = providers.map(provider => provider.name).join(' → ');
+    this.model = providers[0].model;
+  }
+
+  async complete(request) {
+    let lastError;
+    for (const provider of this.providers) {
+      try {
+        return await provider.complete(request);
+      } catch (error) {
+        lastError = error;
+        console.warn(`⚠️ LLM provider ${provider.name} failed: ${error.message}`);
+      }
+    }
+    throw lastError;
+  }
+}
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Build a provider from environment variables with the given prefix
+ * (LLM_PROVIDER, LLM_MODEL... or LLM_FALLBACK_PROVIDER, LLM_FALLBACK_MODEL...).
+ * Returns null if the provider is not configured.
+ */
+function createProvider(prefix, defaultName = null) {
+  const env = suffix => process.env[`${prefix}_${suffix}`];
+  const name = (env('PROVIDER') || defaultName || '').toLowerCase();
+  if (!name) {
+    return null;
+  }
+
+  if (name === 'mock') {
+    return new MockProvider({ model: env('MODEL') });
+  }
+
+  // Unknown names are treated as custom OpenAI-compatible endpoints and need a base URL
+  const preset = PRESETS[name] || {};
+  const baseURL = env('BASE_URL') || preset.baseURL;
+  const apiKey = env('API_KEY') || (preset.apiKeyEnv && process.env[preset.apiKeyEnv]);
+  const model = env('MODEL') || preset.model;
+
+  if (!baseURL || !model) {
+    throw new Error(`${prefix}_BASE_URL and ${prefix}_MODEL are required for LLM provider "${name}"`);
+  }
+  if (preset.apiKeyEnv && !apiKey) {
+    console.warn(`⚠️ ${preset.apiKeyEnv} not found, LLM provider "${name}" disabled`);
+    return null;
+  }
+
+  return new OpenAICompatibleProvider({
+    name,
+    baseURL,
+    apiKey,
+    model,
+    temperature: parseNumber(env('TEMPERATURE') || process.env.LLM_TEMPERATURE, DEFAULT_TEMPERATURE),
+    maxTokens: parseNumber(env('MAX_TOKENS') || process.env.LLM_MAX_TOKENS, DEFAULT_MAX_TOKENS)
+  });
+}
+
+/**
+ * Provider configured by LLM_* variables, wrapped with LLM_FALLBACK_* as a secondary
+ * provider when set. Defaults to DeepSeek. Returns null if no provider is usable.
+ */
+function createProviderFromEnv() {
+  const providers = [
+    createProvider('LLM', 'deepseek'),
+    createProvider('LLM_FALLBACK')
+  ].filter(Boolean);
+
+  if (providers.length === 0) {
+    return null;
+  }
+  return providers.length === 1 ? providers[0] : new FailoverProvider(providers);
+}
+
+module.exports = {
+  OpenAICompatibleProvider,
+  MockProvider,
+  FailoverProvider,
+  createProviderFromEnv
+};
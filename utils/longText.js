@@ -0,0 +1,163 @@
+// Map-reduce summarisation for inputs too long to send to the model in one request.
+// Token counts are estimates: about 4 characters per token for ASCII text, and
+// one token per character otherwise, which errs on the safe side for CJK and emoji.
+
+const DIRECT_INPUT_TOKENS = 6000;
+const CHUNK_TOKENS = 3000;
+const MAX_CHUNKS = 60;
+const MAX_REDUCE_ROUNDS = 3;
+const CONCURRENCY = 4;
+
+// Failure with a message that can be shown to the user as-is
+class TextTooLongError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TextTooLongError';
+  }
+}
+
+function estimateTokens(text) {
+  let ascii = 0;
+  let other = 0;
+  for (const char of text || '') {
+    if (char.charCodeAt(0) < 128) {
+      ascii++;
+    } else {
+      other++;
+    }
+  }
+  return Math.ceil(ascii / 4 + other);
+}
+
+// Boundaries to split on, from most to least preferred, with the separator used to rejoin pieces
+const BOUNDARIES = [
+  [/\n{2,}/, '\n\n'],
+  [/\n/, '\n'],
+  [/(?<=[.!?。！？])\s+/, ' '],
+  [/\s+/, ' ']
+];
+
+// Split on the most preferred boundary that yields more than one piece
+function splitOnce(text) {
+  for (const [pattern, separator] of BOUNDARIES) {
+    const pieces = text.split(pattern).filter(piece => piece.trim());
+    if (pieces.length > 1) {
+      return { pieces, separator };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split text into chunks of at most `maxTokens` estimated tokens, preferring
+ * paragraph, then line, then sentence, then word boundaries.
+ */
+function chunkText(text, maxTokens = CHUNK_TOKENS) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return [];
+  }
+  if (estimateTokens(trimmed) <= maxTokens) {
+    return [trimmed];
+  }
+
+  const split = splitOnce(trimmed);
+  if (!split) {
+    // A single enormous word: cut it by characters
+    const chars = Array.from(trimmed);
+    const size = Math.max(1, Math.floor(chars.length * maxTokens / estimateTokens(trimmed)));
+    const chunks = [];
+    for (let start = 0; start < chars.length; start += size) {
+      chunks.push(chars.slice(start, start + size).join(''));
+    }
+    return chunks;
+  }
+
+  // Pack pieces greedily, recursing into pieces that are too large on their own
+  const chunks = [];
+  let current = '';
+  for (const piece of split.pieces) {
+    const candidate = current ? `${current}${split.separator}${piece}` : piece;
+    if (estimateTokens(candidate) <= maxTokens) {
+      current = candidate;
+      continue;
+    }
+    if (current) {
+      chunks.push(current);
+      current = '';
+    }
+    if (estimateTokens(piece) <= maxTokens) {
+      current = piece;
+    } else {
+      chunks.push(...chunkText(piece, maxTokens));
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// Run `worker` over items with at most `limit` in flight, keeping the order of results
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Condense text until it fits in a single generation request.
+ * Short text is returned unchanged. Long text is split into chunks that are summarised
+ * independently (map); the joined summaries are summarised again while still too long (reduce).
+ *
+ * @param {string} text
+ * @param {(chunk: string, info: { index: number, total: number, round: number }) => Promise<string>} summarize
+ * @param {{ onStart?: (chunkCount: number) => (void|Promise<void>) }} [options]
+ * @returns {Promise<{ text: string, chunkCount: number }>} chunkCount is 0 if no summarising was needed
+ */
+async function condenseText(text, summarize, { onStart } = {}) {
+  if (estimateTokens(text) <= DIRECT_INPUT_TOKENS) {
+    return { text, chunkCount: 0 };
+  }
+
+  let chunks = chunkText(text, CHUNK_TOKENS);
+  if (chunks.length > MAX_CHUNKS) {
+    throw new TextTooLongError(
+      `This text is too long to summarise (about ${estimateTokens(text).toLocaleString('en-US')} tokens, ` +
+      `${MAX_CHUNKS * CHUNK_TOKENS / 1000}k maximum). Please send a shorter excerpt.`
+    );
+  }
+
+  const chunkCount = chunks.length;
+  if (onStart) {
+    await onStart(chunkCount);
+  }
+
+  for (let round = 1; round <= MAX_REDUCE_ROUNDS; round++) {
+    const summaries = await mapWithConcurrency(chunks, CONCURRENCY, (chunk, index) =>
+      summarize(chunk, { index, total: chunks.length, round })
+    );
+    const combined = summaries.map(summary => (summary || '').trim()).filter(Boolean).join('\n\n');
+
+    if (estimateTokens(combined) <= DIRECT_INPUT_TOKENS) {
+      return { text: combined, chunkCount };
+    }
+    chunks = chunkText(combined, CHUNK_TOKENS);
+  }
+
+  throw new TextTooLongError('This text is too long to summarise. Please send a shorter excerpt.');
+}
+
+module.exports = {
+  TextTooLongError,
+  estimateTokens,
+  chunkText,
+  condenseText
+};
@@ -0,0 +1,131 @@
+// Limits for media attached to a tweet. Telegram's Bot API can only download
+// files up to 20 MB, which is stricter than X's video limit.
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024;
+const MAX_ALT_TEXT_LENGTH = 1000;
+const MAX_PHOTOS_PER_TWEET = 4;
+
+const MEDIA_RULES = {
+  photo: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    maxSize: 5 * 1024 * 1024,
+    category: 'tweet_image'
+  },
+  gif: {
+    mimeTypes: ['image/gif'],
+    maxSize: 15 * 1024 * 1024,
+    category: 'tweet_gif'
+  },
+  video: {
+    mimeTypes: ['video/mp4', 'video/quicktime'],
+    maxSize: TELEGRAM_DOWNLOAD_LIMIT,
+    maxDuration: 140,
+    category: 'tweet_video'
+  }
+};
+
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Describe the media attached to a Telegram message, or null if it has none we can post.
+ * Telegram delivers GIFs as MP4 "animations", so those are posted as videos.
+ */
+function getMessageMedia(msg) {
+  if (msg.photo && msg.photo.length > 0) {
+    // Telegram sends several sizes; the last one is the largest
+    const photo = msg.photo[msg.photo.length - 1];
+    return { kind: 'photo', fileId: photo.file_id, fileSize: photo.file_size || 0, mimeType: 'image/jpeg' };
+  }
+
+  const video = msg.video || msg.animation;
+  if (video) {
+    return {
+      kind: 'video',
+      fileId: video.file_id,
+      fileSize: video.file_size || 0,
+      mimeType: video.mime_type || 'video/mp4',
+      duration: video.duration || 0
+    };
+  }
+
+  if (msg.document && msg.document.mime_type) {
+    const mimeType = msg.document.mime_type;
+    const kind = Object.keys(MEDIA_RULES).find(key => MEDIA_RULES[key].mimeTypes.includes(mimeType));
+    if (kind) {
+      return { kind, fileId: msg.document.file_id, fileSize: msg.document.file_size || 0, mimeType };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check format, size and combination rules before anything is downloaded.
+ * Returns an error message, or null if the media can be posted.
+ */
+function validateMedia(items) {
+  if (items.length === 0) {
+    return 'No media found.';
+  }
+
+  const hasMovingMedia = items.some(item => item.kind !== 'photo');
+  if (hasMovingMedia && items.length > 1) {
+    return 'A tweet can contain either up to 4 photos or a single video/GIF, not both.';
+  }
+  if (items.length > MAX_PHOTOS_PER_TWEET) {
+    return `A tweet can contain at most ${MAX_PHOTOS_PER_TWEET} photos. You sent ${items.length}.`;
+  }
+
+  for (const item of items) {
+    const rules = MEDIA_RULES[item.kind];
+    if (!rules.mimeTypes.includes(item.mimeType)) {
+      return `Unsupported format: ${item.mimeType}. Supported: ${rules.mimeTypes.join(', ')}.`;
+    }
+    if (item.fileSize > rules.maxSize) {
+      return `File too large: ${formatSize(item.fileSize)}. Maximum for a ${item.kind}: ${formatSize(rules.maxSize)}.`;
+    }
+    if (rules.maxDuration && item.duration > rules.maxDuration) {
+      return `Video too long: ${item.duration}s. Maximum: ${rules.maxDuration}s.`;
+    }
+    if (item.altText && item.altText.length > MAX_ALT_TEXT_LENGTH) {
+      return `Alt text too long: ${item.altText.length} characters. Maximum: ${MAX_ALT_TEXT_LENGTH}.`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split a caption into tweet text and alt text. Lines starting with "alt:" are alt text.
+ */
+function parseCaption(caption) {
+  const textLines = [];
+  const altLines = [];
+
+  (caption || '').split('\n').forEach(line => {
+    const match = line.match(/^\s*alt\s*:\s*(.*)$/i);
+    if (match) {
+      altLines.push(match[1].trim());
+    } else {
+      textLines.push(line);
+    }
+  });
+
+  return {
+    text: textLines.join('\n').trim(),
+    altText: altLines.join(' ').trim() || null
+  };
+}
+
+function getMediaCategory(kind) {
+  return MEDIA_RULES[kind].category;
+}
+
+module.exports = {
+  TELEGRAM_DOWNLOAD_LIMIT,
+  getMessageMedia,
+  validateMedia,
+  parseCaption,
+  getMediaCategory
+};
@@ -0,0 +1,74 @@
+const PostedTweet = require('../models/PostedTweet');
+
+/**
+ * Record a tweet the bot published. Recording again (e.g. for a retried update) is harmless.
+ * Failures are logged rather than thrown: the tweet is already live at this point.
+ */
+async function recordPostedTweet({ tweetId, account, text, source = 'manual' }) {
+  try {
+    return await PostedTweet.findOneAndUpdate(
+      { tweetId },
+      {
+        $setOnInsert: {
+          telegramId: account.telegramId,
+          accountId: account._id,
+          xHandle: account.xHandle,
+          text,
+          source,
+          postedAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    console.error(`❌ Failed to record posted tweet ${tweetId}:`, error.message);
+    return null;
+  }
+}
+
+// Tweet ID from "last", a numeric ID, or an x.com / twitter.com status link
+function parseTweetReference(reference) {
+  const value = (reference || '').trim();
+  if (value.toLowerCase() === 'last') {
+    return 'last';
+  }
+  const match = value.match(/^(\d{1,20})$/) || value.match(/(?:x|twitter)\.com\/\w+\/status(?:es)?\/(\d{1,20})/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * A tweet the user posted through the bot and has not deleted yet,
+ * by "last", tweet ID or status link. Returns null if there is none.
+ */
+async function findPostedTweet(telegramId, reference) {
+  const tweetId = parseTweetReference(reference);
+  if (!tweetId) {
+    return null;
+  }
+  const filter = { telegramId, deletedAt: null };
+  if (tweetId !== 'last') {
+    filter.tweetId = tweetId;
+  }
+  return PostedTweet.findOne(filter).sort({ postedAt: -1 });
+}
+
+function recentPostedTweets(telegramId, limit) {
+  return PostedTweet.find({ telegramId }).sort({ postedAt: -1 }).limit(limit);
+}
+
+function tweetUrl(postedTweet) {
+  return `https://x.com/${postedTweet.xHandle}/status/${postedTweet.tweetId}`;
+}
+
+async function markTweetDeleted(postedTweet) {
+  await PostedTweet.updateOne({ _id: postedTweet._id }, { deletedAt: new Date() });
+}
+
+module.exports = {
+  recordPostedTweet,
+  parseTweetReference,
+  findPostedTweet,
+  recentPostedTweets,
+  tweetUrl,
+  markTweetDeleted
+};
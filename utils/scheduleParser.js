@@ -0,0 +1,146 @@
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+  m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+  h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+  d: 'd', day: 'd', days: 'd'
+};
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Calendar fields of `date` as seen in `timezone`
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    if (part.type !== 'literal') {
+      values[part.type] = parseInt(part.value, 10);
+    }
+  });
+  return values;
+}
+
+function getTimezoneOffset(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time in `timezone` to a Date
+function zonedTimeToDate(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  let result = guess - getTimezoneOffset(new Date(guess), timezone);
+  // Re-check once in case the guess landed on the other side of a DST change
+  result = guess - getTimezoneOffset(new Date(result), timezone);
+  return new Date(result);
+}
+
+function formatInTimezone(date, timezone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'short',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'short'
+  }).format(date);
+}
+
+function parseRelative(input, now) {
+  // "in 2h", "in 1h30m", "+45m", "in 2 hours", "in 3 days"
+  const match = input.match(/^(?:in\s+|\+)((?:\d+\s*[a-z]+\s*)+)(?=\s|$)/i);
+  if (!match) {
+    return null;
+  }
+
+  let total = 0;
+  const tokens = match[1].matchAll(/(\d+)\s*([a-z]+)/gi);
+  for (const [, amount, unit] of tokens) {
+    const normalized = UNIT_ALIASES[unit.toLowerCase()];
+    if (!normalized) {
+      return null;
+    }
+    total += parseInt(amount, 10) * UNIT_MS[normalized];
+  }
+
+  if (total <= 0) {
+    return null;
+  }
+  return { date: new Date(now.getTime() + total), rest: input.slice(match[0].length) };
+}
+
+function parseAbsolute(input, now, timezone) {
+  // "2026-10-20 14:30", "2026-10-20T14:30", "tomorrow 09:00", "today 18:00", "14:30"
+  const match = input.match(/^(?:(\d{4})-(\d{2})-(\d{2})[ t]|(today|tomorrow)\s+)?(\d{1,2}):(\d{2})(?=\s|$)/i);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, keyword, hour, minute] = match;
+  const h = parseInt(hour, 10);
+  const min = parseInt(minute, 10);
+  if (h > 23 || min > 59) {
+    return null;
+  }
+
+  let date;
+  if (year) {
+    date = zonedTimeToDate(parseInt(year, 10), parseInt(month, 10), parseInt(day, 10), h, min, timezone);
+  } else {
+    const today = getZonedParts(now, timezone);
+    const dayOffset = keyword && keyword.toLowerCase() === 'tomorrow' ? 1 : 0;
+    date = zonedTimeToDate(today.year, today.month, today.day + dayOffset, h, min, timezone);
+    // A bare time that has already passed today means tomorrow
+    if (!keyword && date <= now) {
+      date = zonedTimeToDate(today.year, today.month, today.day + 1, h, min, timezone);
+    }
+  }
+
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return { date, rest: input.slice(match[0].length) };
+}
+
+/**
+ * Parse the leading "<when>" of a /schedule argument.
+ * Returns `{ date, text }` or null if no time could be recognised.
+ */
+function parseSchedule(input, timezone = 'UTC', now = new Date()) {
+  const trimmed = (input || '').trim();
+  const parsed = parseRelative(trimmed, now) || parseAbsolute(trimmed, now, timezone);
+  if (!parsed) {
+    return null;
+  }
+  return { date: parsed.date, text: parsed.rest.trim() };
+}
+
+module.exports = {
+  parseSchedule,
+  isValidTimezone,
+  formatInTimezone,
+  zonedTimeToDate
+};
@@ -0,0 +1,221 @@
+const { getTweetLength, MAX_TWEET_LENGTH } = require('./tweetLength');
+const { buildVoiceInstructions } = require('./voiceProfile');
+
+const LEVELS = ['none', 'few', 'many'];
+const MAX_TONE_LENGTH = 60;
+const MAX_BANNED_WORDS = 30;
+const MAX_EXAMPLES = 5;
+
+/**
+ * @typedef {Object} StyleProfile
+ * @property {string} tone            Free-form tone, e.g. "witty" or "technical"
+ * @property {'none'|'few'|'many'} emoji
+ * @property {'none'|'few'|'many'} hashtags
+ * @property {string|null} language   Null keeps the language of the source text
+ * @property {string[]} bannedWords
+ * @property {string[]} examples      Tweets written in the user's own voice
+ * @property {boolean} appendLink     Append the source link to tweets generated from a URL
+ * @property {import('./voiceProfile').VoiceProfile} [voice]  Learned by /trainvoice; not a /style setting
+ */
+
+/** @type {StyleProfile} */
+const DEFAULT_STYLE = {
+  tone: 'conversational yet professional',
+  emoji: 'few',
+  hashtags: 'few',
+  language: null,
+  bannedWords: [],
+  examples: [],
+  appendLink: false
+};
+
+const EMOJI_GUIDELINES = {
+  none: 'Do not use emojis',
+  few: 'Use emojis sparingly and appropriately',
+  many: 'Use emojis generously to add personality'
+};
+
+const HASHTAG_GUIDELINES = {
+  none: 'Do not use hashtags',
+  few: 'Include relevant hashtags when appropriate (2-3 max per tweet)',
+  many: 'Include 2-3 relevant hashtags in every tweet'
+};
+
+// Fill in defaults for settings the user has not changed
+function normalizeStyle(style) {
+  const merged = { ...DEFAULT_STYLE };
+  Object.keys(DEFAULT_STYLE).forEach(key => {
+    const value = style?.[key];
+    if (value !== undefined && value !== null && value !== '') {
+      merged[key] = Array.isArray(value) ? [...value] : value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Guideline lines for the tweet generation prompt (tone, emoji, hashtags, language).
+ */
+function buildStyleGuidelines(style) {
+  const { tone, emoji, hashtags, language } = normalizeStyle(style);
+  const guidelines = [
+    `Use a ${tone} tone`,
+    EMOJI_GUIDELINES[emoji],
+    HASHTAG_GUIDELINES[hashtags]
+  ];
+  if (language) {
+    guidelines.push(`Write every tweet in ${language}, whatever the language of the source text`);
+  }
+  return guidelines;
+}
+
+/**
+ * Extra prompt section for banned words, voice examples and the learned voice profile, or an empty string.
+ */
+function buildStyleContext(style) {
+  const { bannedWords, examples } = normalizeStyle(style);
+  const sections = [];
+  const voice = buildVoiceInstructions(style?.voice);
+
+  if (voice) {
+    sections.push(voice);
+  }
+  if (bannedWords.length > 0) {
+    sections.push(`Never use these words or phrases: ${bannedWords.join(', ')}`);
+  }
+  if (examples.length > 0) {
+    sections.push(
+      'Match the voice of these example tweets written by the user (do not copy them):\n' +
+      examples.map(example => `- ${example}`).join('\n')
+    );
+  }
+
+  return sections.join('\n\n');
+}
+
+// Full instructions for prompts that do not use a numbered guideline list
+function buildStyleInstructions(style) {
+  const guidelines = buildStyleGuidelines(style).map(line => `${line}.`).join(' ');
+  const context = buildStyleContext(style);
+  return context ? `${guidelines}\n\n${context}` : guidelines;
+}
+
+function describeStyle(style) {
+  const { tone, emoji, hashtags, language, bannedWords, examples, appendLink } = normalizeStyle(style);
+  return [
+    `🎭 Tone: ${tone}`,
+    `😀 Emoji: ${emoji}`,
+    `#️⃣ Hashtags: ${hashtags}`,
+    `🌐 Language: ${language || 'same as source'}`,
+    `🚫 Banned words: ${bannedWords.length > 0 ? bannedWords.join(', ') : 'none'}`,
+    `🗣 Example tweets: ${examples.length}/${MAX_EXAMPLES}`,
+    `🔗 Source link on tweets from URLs: ${appendLink ? 'on' : 'off'}`
+  ].join('\n');
+}
+
+function splitWords(value) {
+  return value.split(',').map(word => word.trim()).filter(Boolean);
+}
+
+/**
+ * Apply a "/style <setting> <value>" change.
+ * Returns `{ style, message }` on success or `{ error }` if the input is invalid.
+ */
+function applyStyleCommand(current, args) {
+  const style = normalizeStyle(current);
+  const [setting = '', ...rest] = args.trim().split(/\s+/);
+  const value = args.trim().slice(setting.length).trim();
+  const key = setting.toLowerCase();
+
+  switch (key) {
+    case 'tone':
+      if (!value || value.length > MAX_TONE_LENGTH) {
+        return { error: `Describe the tone in 1-${MAX_TONE_LENGTH} characters, e.g. /style tone witty` };
+      }
+      style.tone = value;
+      return { style, message: `Tone set to "${value}"` };
+
+    case 'emoji':
+    case 'hashtags': {
+      const level = (rest[0] || '').toLowerCase();
+      if (!LEVELS.includes(level)) {
+        return { error: `Use one of: ${LEVELS.join(', ')}, e.g. /style ${key} none` };
+      }
+      style[key] = level;
+      return { style, message: `${key === 'emoji' ? 'Emoji' : 'Hashtags'} set to ${level}` };
+    }
+
+    case 'language':
+      if (!value) {
+        return { error: 'Name a language, e.g. /style language Spanish (or /style language auto)' };
+      }
+      style.language = value.toLowerCase() === 'auto' ? null : value;
+      return { style, message: style.language ? `Language set to ${value}` : 'Tweets will use the language of the source text' };
+
+    case 'ban': {
+      const words = splitWords(value);
+      if (words.length === 0) {
+        return { error: 'List words to ban, separated by commas, e.g. /style ban synergy, game-changer' };
+      }
+      const existing = new Set(style.bannedWords.map(word => word.toLowerCase()));
+      words.forEach(word => {
+        if (!existing.has(word.toLowerCase())) {
+          existing.add(word.toLowerCase());
+          style.bannedWords.push(word);
+        }
+      });
+      if (style.bannedWords.length > MAX_BANNED_WORDS) {
+        return { error: `You can ban at most ${MAX_BANNED_WORDS} words.` };
+      }
+      return { style, message: `Banned: ${words.join(', ')}` };
+    }
+
+    case 'unban': {
+      const words = splitWords(value).map(word => word.toLowerCase());
+      style.bannedWords = style.bannedWords.filter(word => !words.includes(word.toLowerCase()));
+      return { style, message: `Removed from banned words: ${words.join(', ')}` };
+    }
+
+    case 'example':
+      if (value.toLowerCase() === 'clear') {
+        style.examples = [];
+        return { style, message: 'Example tweets cleared' };
+      }
+      if (!value) {
+        return { error: 'Add one of your own tweets, e.g. /style example Shipping beats planning. Every time.' };
+      }
+      if (getTweetLength(value) > MAX_TWEET_LENGTH) {
+        return { error: `Example tweets must fit in ${MAX_TWEET_LENGTH} characters.` };
+      }
+      if (style.examples.length >= MAX_EXAMPLES) {
+        return { error: `You already have ${MAX_EXAMPLES} example tweets. Clear them with /style example clear.` };
+      }
+      style.examples.push(value);
+      return { style, message: `Example tweet added (${style.examples.length}/${MAX_EXAMPLES})` };
+
+    case 'link': {
+      const toggle = (rest[0] || '').toLowerCase();
+      if (!['on', 'off'].includes(toggle)) {
+        return { error: 'Use /style link on or /style link off' };
+      }
+      style.appendLink = toggle === 'on';
+      return { style, message: `Source link ${toggle} for tweets generated from a URL` };
+    }
+
+    case 'reset':
+      return { style: { ...DEFAULT_STYLE, bannedWords: [], examples: [] }, message: 'Style reset to defaults' };
+
+    default:
+      return { error: `Unknown style setting: ${setting}` };
+  }
+}
+
+module.exports = {
+  DEFAULT_STYLE,
+  normalizeStyle,
+  buildStyleGuidelines,
+  buildStyleContext,
+  buildStyleInstructions,
+  describeStyle,
+  applyStyleCommand
+};
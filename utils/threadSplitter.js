@@ -0,0 +1,154 @@
+const { MAX_TWEET_LENGTH, getTweetLength } = require('./tweetLength');
+
+const MAX_THREAD_PARTS = 25;
+
+// Split text into sentences, keeping the terminating punctuation with each one
+function splitSentences(text) {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  if (!normalized) {
+    return [];
+  }
+  const sentences = normalized.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [normalized];
+  return sentences.map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// Break a single piece that is too long on word boundaries, hard-cutting giant words
+function splitLongPiece(piece, limit, measure) {
+  const chunks = [];
+  let current = '';
+
+  for (const word of piece.split(' ')) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measure(candidate) <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) {
+      chunks.push(current);
+    }
+    current = word;
+    while (measure(current) > limit) {
+      // Cut on code points so emoji and other astral characters stay intact
+      const chars = Array.from(current);
+      let cut = Math.min(limit, chars.length - 1);
+      while (cut > 1 && measure(chars.slice(0, cut).join('')) > limit) {
+        cut--;
+      }
+      chunks.push(chars.slice(0, cut).join(''));
+      current = chars.slice(cut).join('');
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// Greedily pack the sentences of one block into chunks of at most `limit`
+function packBlock(block, limit, measure) {
+  const chunks = [];
+  let current = '';
+
+  for (const sentence of splitSentences(block)) {
+    const candidate = current ? `${current} ${sentence}` : sentence;
+    if (measure(candidate) <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) {
+      chunks.push(current);
+      current = '';
+    }
+    if (measure(sentence) <= limit) {
+      current = sentence;
+    } else {
+      const pieces = splitLongPiece(sentence, limit, measure);
+      current = pieces.pop() || '';
+      chunks.push(...pieces);
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Split text into numbered thread parts ("... 1/5") on sentence boundaries.
+ * `blocks` may be a string or an array of strings; each block always starts a new part.
+ */
+function splitIntoThread(blocks, { maxLength = MAX_TWEET_LENGTH, measure = getTweetLength } = {}) {
+  const blockList = (Array.isArray(blocks) ? blocks : [blocks])
+    .map(block => (block || '').trim())
+    .filter(Boolean);
+
+  if (blockList.length === 0) {
+    return [];
+  }
+
+  // Reserve room for the " n/N" suffix; retry if the part count needs more digits
+  let total = blockList.length;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const reserve = ` ${total}/${total}`.length;
+    const chunks = blockList.flatMap(block => packBlock(block, maxLength - reserve, measure));
+
+    if (chunks.length === 1) {
+      return chunks;
+    }
+    if (String(chunks.length).length <= String(total).length) {
+      return chunks.map((chunk, index) => `${chunk} ${index + 1}/${chunks.length}`);
+    }
+    total = chunks.length;
+  }
+
+  throw new Error('Could not split text into a thread');
+}
+
+/**
+ * Parse the "Tweet 1: ... Tweet 2: ..." format produced by the AI generator.
+ * Returns an array of tweet texts, or null if the text is not in that format.
+ */
+function parseNumberedTweets(text) {
+  // Also matches the "🐦 Tweet 1 (120 chars)" header the bot puts above generated tweets
+  const pattern = /^\s*(?:\u{1F426}\s*)?\**\s*tweet\s*(\d+)\s*(?:\(\d+ chars\))?\s*\**\s*(?:[:.)-]|$)\s*\**\s*/iu;
+  const tweets = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const match = line.match(pattern);
+    if (match) {
+      if (current !== null) {
+        tweets.push(current.trim());
+      }
+      current = line.slice(match[0].length);
+    } else if (current !== null) {
+      current += `\n${line}`;
+    }
+  }
+
+  if (current !== null) {
+    tweets.push(current.trim());
+  }
+
+  const nonEmpty = tweets.filter(Boolean);
+  return nonEmpty.length >= 2 ? nonEmpty : null;
+}
+
+/**
+ * Build thread parts from /thread input: numbered AI output keeps one tweet per part,
+ * anything else is split on sentence boundaries.
+ */
+function buildThread(text, options = {}) {
+  const numbered = parseNumberedTweets(text);
+  return splitIntoThread(numbered || text, options);
+}
+
+module.exports = {
+  MAX_TWEET_LENGTH,
+  MAX_THREAD_PARTS,
+  splitIntoThread,
+  parseNumberedTweets,
+  buildThread
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Encrypted values look like "enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>" (base64 parts).
+// The key id lets old values be decrypted while keys are being rotated.
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+function parseKey(value) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Token encryption keys must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+}
+
+function keyIdFor(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// Current key from TOKEN_ENCRYPTION_KEY, plus TOKEN_ENCRYPTION_PREVIOUS_KEYS (comma-separated) for decryption
+function loadKeys() {
+  if (!process.env.TOKEN_ENCRYPTION_KEY) {
+    throw new Error('TOKEN_ENCRYPTION_KEY environment variable is required to store OAuth tokens');
+  }
+
+  const current = parseKey(process.env.TOKEN_ENCRYPTION_KEY);
+  const keys = new Map([[keyIdFor(current), current]]);
+
+  (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .forEach(value => {
+      const key = parseKey(value);
+      keys.set(keyIdFor(key), key);
+    });
+
+  return { currentKeyId: keyIdFor(current), current, keys };
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function getKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+function encrypt(plaintext) {
+  const { currentKeyId, current } = loadKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return PREFIX + [
+    currentKeyId,
+    iv.toString('base64'),
+    authTag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+function decrypt(value) {
+  const [keyId, iv, authTag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const key = loadKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`No token encryption key available for key id ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Mongoose setter: encrypt plaintext, leave empty and already-encrypted values alone
+function encryptToken(value) {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) {
+    return value;
+  }
+  return encrypt(value);
+}
+
+// Mongoose getter: decrypt encrypted values; rows not yet migrated are returned as-is
+function decryptToken(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  return decrypt(value);
+}
+
+// True for plaintext values and values encrypted with a key other than the current one
+function needsReencryption(value) {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  return getKeyId(value) !== loadKeys().currentKeyId;
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  encryptToken,
+  decryptToken,
+  isEncrypted,
+  needsReencryption
+};
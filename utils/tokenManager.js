@@ -0,0 +1,191 @@
+const { TwitterApi } = require('twitter-api-v2');
+const LinkedAccount = require('../models/LinkedAccount');
+require('dotenv').config();
+
+// Refresh a little before the real expiry so a request never races the deadline
+const REFRESH_MARGIN_MS = 60 * 1000;
+// How long one invocation may hold the refresh lock before others may take over
+const REFRESH_LOCK_MS = 30 * 1000;
+// How long to wait for another invocation that is already refreshing
+const LOCK_WAIT_MS = 10 * 1000;
+const LOCK_POLL_MS = 500;
+
+class TokenRefreshError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'TokenRefreshError';
+    this.cause = cause;
+  }
+}
+
+function getAppClient() {
+  if (!process.env.X_CLIENT_ID || !process.env.X_CLIENT_SECRET) {
+    throw new Error('X_CLIENT_ID and X_CLIENT_SECRET are required to refresh tokens');
+  }
+  return new TwitterApi({
+    clientId: process.env.X_CLIENT_ID,
+    clientSecret: process.env.X_CLIENT_SECRET,
+  });
+}
+
+function needsRefresh(account) {
+  if (!account.tokenExpiresAt) {
+    return false;
+  }
+  return new Date(account.tokenExpiresAt).getTime() - REFRESH_MARGIN_MS <= Date.now();
+}
+
+// X answers 400/401 with invalid_grant when the refresh token was revoked or already used
+function isRejection(error) {
+  const status = error?.code || error?.statusCode;
+  return status === 400 || status === 401 || error?.data?.error === 'invalid_grant';
+}
+
+// Rows without a stored tokenVersion (e.g. migrated accounts) read back as 0
+function versionFilter(account) {
+  return account.tokenVersion ? account.tokenVersion : { $in: [0, null] };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Only disconnect if the stored tokens are still the ones that were rejected
+async function markDisconnected(account) {
+  await LinkedAccount.updateOne({ _id: account._id, tokenVersion: versionFilter(account) }, {
+    isConnected: false,
+    accessToken: null,
+    refreshToken: null,
+    tokenExpiresAt: null,
+    $inc: { tokenVersion: 1 },
+    $unset: { tokenRefreshLockUntil: 1 }
+  });
+}
+
+// Wait for a concurrent refresh to land, then return the updated account
+async function waitForRefresh(account) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  while (Date.now() < deadline) {
+    await sleep(LOCK_POLL_MS);
+    const current = await LinkedAccount.findById(account._id);
+    if (!current || !current.isConnected) {
+      throw new TokenRefreshError('Twitter session is no longer connected');
+    }
+    if (current.tokenVersion !== account.tokenVersion || !needsRefresh(current)) {
+      return current;
+    }
+  }
+  return null;
+}
+
+async function refreshAccountTokens(account) {
+  if (!account.refreshToken) {
+    await markDisconnected(account);
+    throw new TokenRefreshError('No refresh token stored for this account');
+  }
+
+  const now = new Date();
+
+  // Take a short lease so concurrent webhook invocations do not spend the same refresh token
+  const locked = await LinkedAccount.findOneAndUpdate(
+    {
+      _id: account._id,
+      tokenVersion: versionFilter(account),
+      $or: [
+        { tokenRefreshLockUntil: null },
+        { tokenRefreshLockUntil: { $lt: now } }
+      ]
+    },
+    { tokenRefreshLockUntil: new Date(now.getTime() + REFRESH_LOCK_MS) },
+    { new: true }
+  );
+
+  if (!locked) {
+    const current = await LinkedAccount.findById(account._id);
+    if (current && current.isConnected && current.tokenVersion !== account.tokenVersion) {
+      return ensureFreshTokens(current); // Someone else already rotated the tokens
+    }
+    const refreshed = await waitForRefresh(account);
+    if (refreshed) {
+      return refreshed;
+    }
+    throw new Error('Timed out waiting for a concurrent token refresh');
+  }
+
+  let result;
+  try {
+    result = await getAppClient().refreshOAuth2Token(account.refreshToken);
+  } catch (error) {
+    if (!isRejection(error)) {
+      // Transient failure: release the lock and let the caller retry later
+      await LinkedAccount.updateOne({ _id: account._id }, { $unset: { tokenRefreshLockUntil: 1 } });
+      throw error;
+    }
+
+    console.error(`❌ Refresh token rejected for @${account.xHandle}`, account.telegramId, error.data || error.message);
+    await markDisconnected(account);
+    const current = await LinkedAccount.findById(account._id);
+    if (current && current.isConnected && current.tokenVersion !== account.tokenVersion) {
+      return ensureFreshTokens(current); // Our token was stale; another invocation rotated it
+    }
+    throw new TokenRefreshError('Refresh token was rejected by Twitter', error);
+  }
+
+  // Persist only if nobody else has rotated the tokens in the meantime
+  const updated = await LinkedAccount.findOneAndUpdate(
+    { _id: account._id, tokenVersion: versionFilter(account) },
+    {
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken || account.refreshToken,
+      tokenExpiresAt: new Date(Date.now() + (result.expiresIn * 1000)),
+      isConnected: true,
+      $inc: { tokenVersion: 1 },
+      $unset: { tokenRefreshLockUntil: 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Lost the lease to another invocation; its tokens are the valid ones now
+    const current = await LinkedAccount.findById(account._id);
+    if (!current || !current.isConnected) {
+      throw new TokenRefreshError('Twitter session is no longer connected');
+    }
+    return current;
+  }
+
+  console.log(`🔄 Refreshed Twitter tokens for @${account.xHandle}`, account.telegramId);
+  return updated;
+}
+
+/**
+ * Returns a connected account with a valid access token, refreshing it first if it
+ * is about to expire. Throws TokenRefreshError when Twitter rejects the refresh.
+ */
+async function ensureFreshTokens(account) {
+  if (!account || !account.isConnected) {
+    throw new TokenRefreshError('Account is not connected to Twitter');
+  }
+  if (!needsRefresh(account)) {
+    return account;
+  }
+  return refreshAccountTokens(account);
+}
+
+/**
+ * Returns `{ client, account }` where client is a TwitterApi instance authorised as the account.
+ */
+async function getAccountClient(account) {
+  const freshAccount = await ensureFreshTokens(account);
+  return {
+    client: new TwitterApi(freshAccount.accessToken),
+    account: freshAccount
+  };
+}
+
+module.exports = {
+  TokenRefreshError,
+  ensureFreshTokens,
+  getAccountClient,
+  needsRefresh
+};
@@ -0,0 +1,93 @@
+const { parseNumberedTweets } = require('./threadSplitter');
+const { MAX_TWEET_LENGTH, getTweetLength } = require('./tweetLength');
+
+/**
+ * @typedef {Object} TweetCandidate
+ * @property {string} text      Tweet text, ready to post
+ * @property {number} length    Weighted character count, as X counts it
+ * @property {boolean} trimmed  True if the text had to be cut to fit the limit
+ */
+
+function measureTweet(text) {
+  return getTweetLength(text);
+}
+
+function isWithinLimit(text, maxLength = MAX_TWEET_LENGTH) {
+  return measureTweet(text) <= maxLength;
+}
+
+// Remove wrapping quotes and leftover "Tweet 1:" labels from a single tweet
+function cleanTweetText(text) {
+  return String(text)
+    .trim()
+    .replace(/^\**\s*tweet\s*\d*\s*\**\s*:\s*/i, '')
+    .replace(/^"([\s\S]*)"$/, '$1')
+    .trim();
+}
+
+function parseJsonTweets(content) {
+  const json = content.replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '').trim();
+  if (!json.startsWith('{') && !json.startsWith('[')) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(json);
+    const list = Array.isArray(parsed) ? parsed : parsed.tweets;
+    if (!Array.isArray(list)) {
+      return null;
+    }
+    return list.map(item => (typeof item === 'string' ? item : item?.text)).filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turn a raw AI response into an array of tweet texts. Accepts JSON
+ * ({"tweets": [...]}) and the older "Tweet 1: ... Tweet 2: ..." format.
+ */
+function parseCandidateResponse(content) {
+  const raw = (content || '').trim();
+  if (!raw) {
+    return [];
+  }
+
+  const tweets = parseJsonTweets(raw) || parseNumberedTweets(raw) || [raw];
+  return tweets.map(cleanTweetText).filter(Boolean);
+}
+
+// Cut text at a word boundary so it fits, marking the cut with an ellipsis
+function trimToLength(text, maxLength = MAX_TWEET_LENGTH) {
+  if (isWithinLimit(text, maxLength)) {
+    return text;
+  }
+
+  let cut = text;
+  while (cut && !isWithinLimit(`${cut}…`, maxLength)) {
+    const lastSpace = cut.lastIndexOf(' ');
+    cut = lastSpace > cut.length / 2 ? cut.slice(0, lastSpace) : Array.from(cut).slice(0, -1).join('');
+  }
+  return `${cut.replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+/**
+ * @param {string} text
+ * @param {{ trimmed?: boolean }} [options]
+ * @returns {TweetCandidate}
+ */
+function toCandidate(text, { trimmed = false } = {}) {
+  return {
+    text,
+    length: measureTweet(text),
+    trimmed
+  };
+}
+
+module.exports = {
+  measureTweet,
+  isWithinLimit,
+  parseCandidateResponse,
+  trimToLength,
+  toCandidate
+};
@@ -0,0 +1,142 @@
+// Weighted tweet length, following X's twitter-text v3 configuration:
+// most Latin-range characters count 1, everything else (CJK, emoji...) counts 2,
+// and every URL counts as a t.co link of 23 characters regardless of its length.
+
+const MAX_TWEET_LENGTH = 280;
+const TRANSFORMED_URL_LENGTH = 23;
+const SCALE = 100;
+const DEFAULT_WEIGHT = 200;
+
+// Code point ranges that count as a single character
+const LIGHT_RANGES = [
+  [0x0000, 0x10FF, 100],
+  [0x2000, 0x200D, 100],
+  [0x2010, 0x201F, 100],
+  [0x2032, 0x2037, 100]
+];
+
+const URL_TLDS = 'com|org|net|io|co|dev|ai|app|me|ly|gg|xyz|info|edu|gov|tv|fm|so|sh|to|us|uk|de|fr|nl|eu|ca|au|in|jp';
+const URL_PATTERN = new RegExp(
+  `(?:https?:\\/\\/[^\\s<>"]+|\\b(?:www\\.)?[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*\\.(?:${URL_TLDS})\\b(?:\\/[^\\s<>"]*)?)`,
+  'giu'
+);
+// Punctuation at the end of a URL usually belongs to the sentence
+const URL_TRAILING_PUNCTUATION = /[.,:;!?'")\]]+$/u;
+
+// An emoji and any modifiers, keycap or ZWJ-joined parts that render as one glyph
+const EMOJI_PATTERN = /[#*0-9]\uFE0F?\u20E3|\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\uFE0F|[\u{1F3FB}-\u{1F3FF}])*(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|[\u{1F3FB}-\u{1F3FF}])*)*/gu;
+
+// X handles are 1-15 word characters; an @ preceded by a word character is an email address
+const MENTION_PATTERN = /(^|[^\w@])@(\w{1,15})(?!\w)/g;
+
+function charWeight(codePoint) {
+  const range = LIGHT_RANGES.find(([start, end]) => codePoint >= start && codePoint <= end);
+  return range ? range[2] : DEFAULT_WEIGHT;
+}
+
+function extractUrls(text) {
+  const urls = [];
+  for (const match of text.matchAll(URL_PATTERN)) {
+    const url = match[0].replace(URL_TRAILING_PUNCTUATION, '');
+    // Skip things like "user@example.com" that are not links on X
+    if (match.index > 0 && text[match.index - 1] === '@') {
+      continue;
+    }
+    urls.push({ url, start: match.index, end: match.index + url.length });
+  }
+  return urls;
+}
+
+// @handles outside links, e.g. not the "@user" in "https://example.com/@user"
+function extractMentions(text, skipRanges) {
+  const mentions = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const start = match.index + match[1].length;
+    if (skipRanges.some(range => start >= range.start && start < range.end)) {
+      continue;
+    }
+    const handle = `@${match[2]}`;
+    if (!mentions.some(mention => mention.toLowerCase() === handle.toLowerCase())) {
+      mentions.push(handle);
+    }
+  }
+  return mentions;
+}
+
+function extractEmoji(text, skipRanges) {
+  const emoji = [];
+  for (const match of text.matchAll(EMOJI_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (skipRanges.some(range => start < range.end && end > range.start)) {
+      continue;
+    }
+    // Symbols like © in the light range only become emoji with a variation selector
+    const codePoint = match[0].codePointAt(0);
+    if (match[0].length === 1 && charWeight(codePoint) < DEFAULT_WEIGHT) {
+      continue;
+    }
+    emoji.push({ start, end });
+  }
+  return emoji;
+}
+
+/**
+ * Parse a tweet the way X does.
+ * Returns `{ weightedLength, valid, overBy, urls, mentions }` where overBy is 0 if the tweet fits.
+ */
+function parseTweet(text, maxLength = MAX_TWEET_LENGTH) {
+  const normalized = (text || '').normalize('NFC');
+  const urls = extractUrls(normalized);
+  const entities = [
+    ...urls.map(({ start, end }) => ({ start, end, weight: TRANSFORMED_URL_LENGTH * SCALE })),
+    ...extractEmoji(normalized, urls).map(({ start, end }) => ({ start, end, weight: DEFAULT_WEIGHT }))
+  ].sort((a, b) => a.start - b.start);
+
+  let weight = 0;
+  let index = 0;
+  let entityIndex = 0;
+  while (index < normalized.length) {
+    const entity = entities[entityIndex];
+    if (entity && entity.start === index) {
+      weight += entity.weight;
+      index = entity.end;
+      entityIndex++;
+      continue;
+    }
+    const codePoint = normalized.codePointAt(index);
+    weight += charWeight(codePoint);
+    index += codePoint > 0xFFFF ? 2 : 1;
+  }
+
+  const weightedLength = Math.ceil(weight / SCALE);
+  return {
+    weightedLength,
+    valid: weightedLength > 0 && weightedLength <= maxLength,
+    overBy: Math.max(0, weightedLength - maxLength),
+    urls: urls.map(({ url }) => url),
+    mentions: extractMentions(normalized, urls)
+  };
+}
+
+function getTweetLength(text) {
+  return parseTweet(text).weightedLength;
+}
+
+// User-facing explanation for a tweet that does not fit
+function describeOverLength(text, maxLength = MAX_TWEET_LENGTH) {
+  const { weightedLength, overBy, urls } = parseTweet(text, maxLength);
+  let message = `Your tweet counts as ${weightedLength} characters on X, ${overBy} over the ${maxLength} limit.`;
+  if (urls.length > 0) {
+    message += `\nLinks count as ${TRANSFORMED_URL_LENGTH} characters each.`;
+  }
+  return message;
+}
+
+module.exports = {
+  MAX_TWEET_LENGTH,
+  TRANSFORMED_URL_LENGTH,
+  parseTweet,
+  getTweetLength,
+  describeOverLength
+};
@@ -0,0 +1,158 @@
+const { getTweetLength } = require('./tweetLength');
+
+// Tweets needed before a profile says anything useful
+const MIN_TWEETS = 5;
+const TOP_WORDS = 12;
+const TOP_EMOJI = 5;
+const TOP_HASHTAGS = 5;
+
+const STOP_WORDS = new Set((
+  'a about after all also am an and any are as at be because been but by can could did do does ' +
+  'for from get got had has have he her him his how i if in into is it its just like me more most my ' +
+  'no not now of on one or our out over so some than that the their them then there these they this ' +
+  'to too up us was we were what when where which who why will with would you your rt amp'
+).split(' '));
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+const HASHTAG_PATTERN = /#[\p{L}\p{N}_]+/gu;
+const URL_PATTERN = /https?:\/\/\S+/g;
+const MENTION_PATTERN = /@\w+/g;
+
+/**
+ * @typedef {Object} VoiceProfile
+ * @property {number} tweetCount
+ * @property {number} averageLength      Average weighted length
+ * @property {number} shortestLength
+ * @property {number} longestLength
+ * @property {string[]} topWords         Most used words, stop words excluded
+ * @property {number} emojiPerTweet
+ * @property {string[]} topEmoji
+ * @property {number} hashtagsPerTweet
+ * @property {string[]} topHashtags
+ * @property {number} exclamationRate    Share of tweets (0-1) containing "!"
+ * @property {number} questionRate       Share of tweets containing "?"
+ * @property {number} ellipsisRate       Share of tweets containing "..." or "…"
+ * @property {number} lowercaseStartRate Share of tweets starting with a lowercase letter
+ * @property {number} lineBreakRate      Share of tweets with line breaks
+ * @property {number} linkRate           Share of tweets with a link
+ */
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function countTop(values, limit) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value]) => value);
+}
+
+function share(texts, predicate) {
+  return round(texts.filter(predicate).length / texts.length);
+}
+
+/**
+ * Build a compact voice profile from tweet texts.
+ * Returns null if there are fewer than MIN_TWEETS tweets to learn from.
+ * @param {string[]} texts
+ * @returns {VoiceProfile|null}
+ */
+function buildVoiceProfile(texts) {
+  const tweets = texts.map(text => (text || '').trim()).filter(Boolean);
+  if (tweets.length < MIN_TWEETS) {
+    return null;
+  }
+
+  const lengths = tweets.map(getTweetLength);
+  const emoji = tweets.flatMap(text => text.match(EMOJI_PATTERN) || []);
+  const hashtags = tweets.flatMap(text => (text.match(HASHTAG_PATTERN) || []).map(tag => tag.toLowerCase()));
+  const words = tweets.flatMap(text => text
+    .replace(URL_PATTERN, ' ')
+    .replace(MENTION_PATTERN, ' ')
+    .replace(HASHTAG_PATTERN, ' ')
+    .toLowerCase()
+    .match(/[\p{L}][\p{L}'-]*[\p{L}]/gu) || [])
+    .filter(word => !STOP_WORDS.has(word));
+
+  return {
+    tweetCount: tweets.length,
+    averageLength: Math.round(lengths.reduce((sum, length) => sum + length, 0) / tweets.length),
+    shortestLength: Math.min(...lengths),
+    longestLength: Math.max(...lengths),
+    topWords: countTop(words, TOP_WORDS),
+    emojiPerTweet: round(emoji.length / tweets.length),
+    topEmoji: countTop(emoji, TOP_EMOJI),
+    hashtagsPerTweet: round(hashtags.length / tweets.length),
+    topHashtags: countTop(hashtags, TOP_HASHTAGS),
+    exclamationRate: share(tweets, text => text.includes('!')),
+    questionRate: share(tweets, text => text.includes('?')),
+    ellipsisRate: share(tweets, text => text.includes('...') || text.includes('…')),
+    lowercaseStartRate: share(tweets, text => /^\p{Ll}/u.test(text)),
+    lineBreakRate: share(tweets, text => text.includes('\n')),
+    linkRate: share(tweets, text => /https?:\/\//.test(text))
+  };
+}
+
+function describeRate(rate) {
+  if (rate >= 0.6) {
+    return 'usually';
+  }
+  if (rate >= 0.25) {
+    return 'often';
+  }
+  if (rate > 0.05) {
+    return 'occasionally';
+  }
+  return 'rarely';
+}
+
+/**
+ * Prompt text describing how the account owner writes, or an empty string for no profile.
+ * @param {VoiceProfile|null} profile
+ */
+function buildVoiceInstructions(profile) {
+  if (!profile || !profile.tweetCount) {
+    return '';
+  }
+
+  const lines = [
+    `Tweets are typically around ${profile.averageLength} characters (range ${profile.shortestLength}-${profile.longestLength})`,
+    profile.emojiPerTweet > 0
+      ? `Uses about ${profile.emojiPerTweet} emoji per tweet${profile.topEmoji.length ? `, favourites: ${profile.topEmoji.join(' ')}` : ''}`
+      : 'Does not use emoji',
+    profile.hashtagsPerTweet > 0
+      ? `Uses about ${profile.hashtagsPerTweet} hashtags per tweet${profile.topHashtags.length ? `, e.g. ${profile.topHashtags.join(' ')}` : ''}`
+      : 'Does not use hashtags',
+    `${describeRate(profile.exclamationRate)} uses exclamation marks, ${describeRate(profile.questionRate)} asks questions, ${describeRate(profile.ellipsisRate)} uses ellipses`,
+    `${describeRate(profile.lowercaseStartRate)} starts tweets in lowercase, ${describeRate(profile.lineBreakRate)} uses line breaks`
+  ];
+  if (profile.topWords.length > 0) {
+    lines.push(`Characteristic vocabulary: ${profile.topWords.join(', ')}`);
+  }
+
+  return 'Write like the account owner. Their voice, learned from their recent tweets:\n' +
+    lines.map(line => `- ${line.charAt(0).toUpperCase()}${line.slice(1)}`).join('\n');
+}
+
+// Short summary for the user after training
+function describeVoiceProfile(profile) {
+  return [
+    `📊 Tweets analysed: ${profile.tweetCount}`,
+    `📏 Typical length: ~${profile.averageLength} chars (${profile.shortestLength}-${profile.longestLength})`,
+    `😀 Emoji per tweet: ${profile.emojiPerTweet}${profile.topEmoji.length ? ` (${profile.topEmoji.join(' ')})` : ''}`,
+    `#️⃣ Hashtags per tweet: ${profile.hashtagsPerTweet}${profile.topHashtags.length ? ` (${profile.topHashtags.join(' ')})` : ''}`,
+    `❗ Exclamations: ${describeRate(profile.exclamationRate)} · ❓ Questions: ${describeRate(profile.questionRate)}`,
+    `🔤 Vocabulary: ${profile.topWords.slice(0, 8).join(', ') || 'n/a'}`
+  ].join('\n');
+}
+
+module.exports = {
+  MIN_TWEETS,
+  buildVoiceProfile,
+  buildVoiceInstructions,
+  describeVoiceProfile
+};
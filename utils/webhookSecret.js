@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Telegram only allows A-Z, a-z, 0-9, _ and - in secret tokens (1-256 characters)
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+function getWebhookSecret() {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) {
+    return null;
+  }
+  if (!SECRET_PATTERN.test(secret)) {
+    throw new Error('TELEGRAM_WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (max 256 characters)');
+  }
+  return secret;
+}
+
+/**
+ * Compare the X-Telegram-Bot-Api-Secret-Token header against the configured secret
+ * in constant time. Both sides are hashed first so their lengths always match.
+ */
+function isValidWebhookSecret(received) {
+  const secret = getWebhookSecret();
+  if (!secret || typeof received !== 'string') {
+    return false;
+  }
+
+  const expectedHash = crypto.createHash('sha256').update(secret).digest();
+  const receivedHash = crypto.createHash('sha256').update(received).digest();
+  return crypto.timingSafeEqual(expectedHash, receivedHash);
+}
+
+module.exports = {
+  getWebhookSecret,
+  isValidWebhookSecret
+};
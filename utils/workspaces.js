@@ -0,0 +1,97 @@
+const Workspace = require('../models/Workspace');
+const AuditLog = require('../models/AuditLog');
+const LinkedAccount = require('../models/LinkedAccount');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// Failure with a message that can be shown to the user as-is
+class WorkspaceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkspaceError';
+  }
+}
+
+// How a Telegram user is shown in approval cards and the audit log
+function displayName(from) {
+  if (!from) {
+    return 'unknown';
+  }
+  return from.username ? `@${from.username}` : [from.first_name, from.last_name].filter(Boolean).join(' ') || String(from.id);
+}
+
+function getRole(workspace, telegramId) {
+  return workspace.members.find(member => member.telegramId === telegramId)?.role || null;
+}
+
+// True if the user's role is at least `role` (viewer < editor < admin)
+function hasRole(workspace, telegramId, role) {
+  const current = getRole(workspace, telegramId);
+  return !!current && ROLES.indexOf(current) >= ROLES.indexOf(role);
+}
+
+async function recordAudit(workspace, actor, action, { target = null, details = null } = {}) {
+  await AuditLog.create({
+    workspaceId: workspace._id,
+    actorId: actor.id,
+    actorName: displayName(actor),
+    action,
+    target,
+    details
+  });
+}
+
+/**
+ * Give a member a role, or remove them from the workspace when `role` is null.
+ * A member who is no longer an admin also has the X accounts they linked unlinked,
+ * since approved tweets are posted with the owner's tokens.
+ * The last admin cannot be demoted or removed. Returns the updated workspace.
+ */
+async function setMemberRole(workspace, { telegramId, username }, role) {
+  const current = getRole(workspace, telegramId);
+  const update = {};
+  const options = { new: true };
+
+  if (!role) {
+    update.$pull = { members: { telegramId } };
+  } else if (current) {
+    update.$set = { 'members.$[member].role': role, ...(username ? { 'members.$[member].username': username } : {}) };
+    options.arrayFilters = [{ 'member.telegramId': telegramId }];
+  } else {
+    update.$push = { members: { telegramId, username, role } };
+  }
+
+  const filter = { _id: workspace._id };
+  if (role !== 'admin') {
+    // Checked in the update itself so two admins demoting each other at once cannot both succeed
+    filter.$or = [
+      { members: { $not: { $elemMatch: { telegramId, role: 'admin' } } } },
+      { members: { $elemMatch: { telegramId: { $ne: telegramId }, role: 'admin' } } }
+    ];
+    const ownAccountIds = await LinkedAccount.find({ telegramId }).distinct('_id');
+    if (ownAccountIds.length > 0) {
+      update.$pull = { ...update.$pull, accountIds: { $in: ownAccountIds } };
+    }
+  }
+
+  const updated = await Workspace.findOneAndUpdate(filter, update, options);
+  if (!updated) {
+    throw new WorkspaceError('A workspace needs at least one admin. Make someone else admin first.');
+  }
+  return updated;
+}
+
+function recentAuditEntries(workspace, limit) {
+  return AuditLog.find({ workspaceId: workspace._id }).sort({ createdAt: -1 }).limit(limit);
+}
+
+module.exports = {
+  ROLES,
+  WorkspaceError,
+  displayName,
+  getRole,
+  hasRole,
+  recordAudit,
+  setMemberRole,
+  recentAuditEntries
+};